@@ -0,0 +1,304 @@
+// Enterprise HR Portal - Attendance Analytics Page
+(function (HR) {
+    'use strict';
+
+    const t = HR.i18n.t;
+
+    // --- Configuration & State ---
+    const MAX_PAGES = 20;
+    const CHART = { width: 640, height: 220, top: 16, right: 8, bottom: 28, left: 36 };
+    const view = {
+        period: 'week',
+        anchor: new Date(), // Any date inside the shown period
+        state: null
+    };
+
+    // --- DOM Accessors ---
+    const nodes = {
+        periodBar: document.getElementById('period-bar'),
+        periodPrev: document.getElementById('period-prev'),
+        periodNext: document.getElementById('period-next'),
+        periodLabel: document.getElementById('period-label'),
+        source: document.getElementById('analytics-source'),
+        statGrid: document.getElementById('stat-grid'),
+        chart: document.getElementById('hours-chart'),
+        chartLegend: document.getElementById('chart-legend'),
+        statusToast: document.getElementById('status-msg')
+    };
+
+    // --- Initialization ---
+    const init = async () => {
+        await HR.log.init();
+        const data = await HR.storage.get('theme');
+        document.body.setAttribute('data-theme', data.theme);
+        chrome.storage.onChanged.addListener(handleStorageChange);
+        await HR.i18n.load();
+        HR.i18n.localize();
+
+        view.state = await sendMessage('get-state');
+        if (!view.state?.loggedIn) {
+            renderSignedOut();
+            return;
+        }
+
+        nodes.periodBar.onclick = handlePeriodChange;
+        nodes.periodPrev.onclick = () => shiftPeriod(-1);
+        nodes.periodNext.onclick = () => shiftPeriod(1);
+        await load();
+    };
+
+    // --- Period ---
+    const periodRange = () => {
+        if (view.period === 'week') {
+            const start = HR.attendance.startOfWeek(view.anchor);
+            const end = new Date(start);
+            end.setDate(end.getDate() + 6);
+            return { from: HR.attendance.toDateKey(start), to: HR.attendance.toDateKey(end), start };
+        }
+        const start = new Date(view.anchor.getFullYear(), view.anchor.getMonth(), 1);
+        const end = new Date(view.anchor.getFullYear(), view.anchor.getMonth() + 1, 0);
+        return { from: HR.attendance.toDateKey(start), to: HR.attendance.toDateKey(end), start };
+    };
+
+    const handlePeriodChange = (event) => {
+        const period = event.target.closest('[data-period]')?.dataset.period;
+        if (!period || period === view.period) return;
+        view.period = period;
+        load();
+    };
+
+    const shiftPeriod = (direction) => {
+        const anchor = new Date(view.anchor);
+        if (view.period === 'week') {
+            anchor.setDate(anchor.getDate() + direction * 7);
+        } else {
+            anchor.setDate(1);
+            anchor.setMonth(anchor.getMonth() + direction);
+        }
+        view.anchor = anchor;
+        load();
+    };
+
+    // --- Storage Changes ---
+    // Theme and display changes apply at once; new punches (here, in the popup or synced from the portal) reload
+    // the period.
+    let reloadTimer = null;
+    const handleStorageChange = (changes, area) => {
+        if (area !== 'local') return;
+        if (changes.theme) document.body.setAttribute('data-theme', changes.theme.newValue || 'dark');
+        if (changes.displayPreferences) applyLanguage();
+
+        const profileId = view.state?.profile?.id;
+        if (!view.state?.loggedIn || !profileId) return;
+        const keys = HR.profiles.keysFor(changes, profileId);
+        if (!keys.includes('history') && !keys.includes('punchQueue')) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(async () => {
+            view.state = await sendMessage('get-state');
+            load();
+        }, 500);
+    };
+
+    const applyLanguage = async () => {
+        await HR.i18n.load();
+        HR.i18n.localize();
+        if (view.state?.loggedIn) {
+            load();
+        } else if (view.state) {
+            renderSignedOut();
+        }
+    };
+
+    // --- Data Loading ---
+    // Whole period from the background (server, or cached history when offline)
+    const fetchEntries = async (from, to) => {
+        let entries = [];
+        let source = 'server';
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const result = await sendMessage('get-history', { from, to, page });
+            if (!result.ok) throw new Error(HR.i18n.messageOf(result) || t('historyLoadFailed'));
+            entries = [...entries, ...result.entries];
+            if (result.source === 'cache') source = 'cache';
+            if (!result.hasMore) break;
+        }
+        return { entries, source };
+    };
+
+    const load = async () => {
+        const { from, to, start } = periodRange();
+        renderPeriodControls(start, to);
+
+        let result;
+        try {
+            result = await fetchEntries(from, to);
+        } catch (e) {
+            showToast(e.message);
+            return;
+        }
+
+        const { policy } = view.state;
+        // Offline punches not yet on the server still count
+        const pending = (view.state.queue || []).filter(entry => entry.status === 'pending');
+        const sessions = buildSessions([...result.entries, ...HR.attendance.filterByRange(pending, from, to, policy)]);
+        const days = HR.analytics.dailyTotals(sessions, from, to);
+
+        // Streaks look beyond the period, at everything cached locally
+        const allSessions = buildSessions([
+            ...HR.attendance.withLocalBreaks(view.state.history, view.state.breaks),
+            ...result.entries,
+            ...pending
+        ]);
+        const workedDays = new Set(
+            HR.attendance.groupByDay(allSessions).filter(group => group.totalMs > 0).map(group => group.day)
+        );
+
+        nodes.source.classList.toggle('hide', result.source !== 'cache');
+        renderStats(HR.analytics.summarize(days, policy), HR.analytics.streaks(workedDays), policy);
+        renderChart(days, policy);
+    };
+
+    const buildSessions = (entries) => HR.attendance.buildSessions(entries, {
+        policy: view.state.policy,
+        punchInTime: view.state.punchInTime
+    });
+
+    // --- Rendering ---
+    const renderSignedOut = () => {
+        nodes.chart.innerHTML = `<div class="empty-log">${t('analyticsSignIn')}</div>`;
+        nodes.periodBar.classList.add('hide');
+    };
+
+    const renderPeriodControls = (start, to) => {
+        nodes.periodBar.querySelectorAll('[data-period]').forEach((button) => {
+            button.classList.toggle('active', button.dataset.period === view.period);
+        });
+        nodes.periodLabel.textContent = view.period === 'week'
+            ? t('periodSpan', [formatDate(start), formatDate(HR.attendance.fromDateKey(to))])
+            : HR.i18n.formatDate(start, { month: 'long', year: 'numeric' });
+        // Nothing to see in the future
+        nodes.periodNext.disabled = HR.attendance.fromDateKey(to) >= new Date(new Date().setHours(0, 0, 0, 0));
+    };
+
+    const renderStats = (summary, streak, policy) => {
+        const target = HR.i18n.formatMinutes(Math.round(policy.targetHours * 60));
+        const stats = [
+            [t('statTotalWorked'), HR.i18n.formatDuration(summary.totalMs), t('statDays', summary.daysWorked)],
+            [t('statAverageDay'), HR.i18n.formatDuration(summary.averageDayMs), t('statTarget', target)],
+            [t('statAverageIn'), formatClock(summary.averageIn), ''],
+            [t('statAverageOut'), formatClock(summary.averageOut), ''],
+            [
+                t('statLateArrivals'),
+                String(summary.lateDays.length),
+                t('statAfter', formatClock(policy.shiftStartMinutes + policy.lateGraceMinutes))
+            ],
+            [t('statOvertime'), HR.i18n.formatDuration(summary.overtimeMs), t('statBeyondTarget', target)],
+            [t('statCurrentStreak'), t('statDays', streak.current), t('statLongest', streak.longest)]
+        ];
+
+        nodes.statGrid.innerHTML = stats.map(([label, value, hint]) => `
+            <div class="stat-card">
+                <span class="stat-label">${escapeHtml(label)}</span>
+                <span class="stat-value">${escapeHtml(value)}</span>
+                <span class="stat-hint">${escapeHtml(hint)}</span>
+            </div>
+        `).join('');
+    };
+
+    // Plain SVG bar chart: hours per day, the part beyond the target highlighted, late days marked.
+    const renderChart = (days, policy) => {
+        const { width, height, top, right, bottom, left } = CHART;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const hours = days.map(day => day.totalMs / 3600000);
+        const maxHours = Math.ceil(Math.max(policy.targetHours + 1, ...hours));
+        const y = (value) => top + plotHeight - (value / maxHours) * plotHeight;
+        const slot = plotWidth / days.length;
+        const barWidth = Math.max(2, slot * 0.6);
+
+        const grid = [];
+        for (let value = 0; value <= maxHours; value += maxHours > 12 ? 4 : 2) {
+            grid.push(`
+                <line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" />
+                <text class="chart-label" x="${left - 6}" y="${y(value) + 3}" text-anchor="end">${escapeHtml(t('durationHours', value))}</text>
+            `);
+        }
+
+        const bars = days.map((day, index) => {
+            const x = left + index * slot + (slot - barWidth) / 2;
+            const worked = hours[index];
+            const regular = Math.min(worked, policy.targetHours);
+            const label = view.period === 'week'
+                ? HR.i18n.formatDate(day.date, { weekday: 'short' })
+                : HR.i18n.formatDate(day.date, { day: 'numeric' });
+            const title = t(HR.analytics.isLate(day, policy) ? 'chartDayLate' : 'chartDay', [
+                formatDate(day.date, { weekday: 'short' }),
+                HR.i18n.formatDuration(day.totalMs)
+            ]);
+
+            return `
+                <g>
+                    <title>${escapeHtml(title)}</title>
+                    <rect class="chart-bar" x="${x}" y="${y(regular)}" width="${barWidth}" height="${y(0) - y(regular)}" rx="2" />
+                    ${worked > policy.targetHours
+                        ? `<rect class="chart-bar-overtime" x="${x}" y="${y(worked)}" width="${barWidth}" height="${y(policy.targetHours) - y(worked)}" rx="2" />`
+                        : ''}
+                    ${HR.analytics.isLate(day, policy)
+                        ? `<circle class="chart-late" cx="${x + barWidth / 2}" cy="${y(0) - 4}" r="2.5" />`
+                        : ''}
+                    ${view.period === 'week' || index % 2 === 0 || days.length <= 16
+                        ? `<text class="chart-label" x="${x + barWidth / 2}" y="${height - 10}" text-anchor="middle">${escapeHtml(label)}</text>`
+                        : ''}
+                </g>
+            `;
+        }).join('');
+
+        const target = `
+            <line class="chart-target" x1="${left}" x2="${width - right}" y1="${y(policy.targetHours)}" y2="${y(policy.targetHours)}" />
+        `;
+
+        nodes.chart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('chartLabel'))}">
+                ${grid.join('')}
+                ${bars}
+                ${target}
+            </svg>
+        `;
+        nodes.chartLegend.textContent = t('chartLegend', HR.i18n.formatMinutes(Math.round(policy.targetHours * 60)));
+    };
+
+    const formatDate = (date, extra = {}) => HR.i18n.formatDate(date, { day: 'numeric', month: 'short', ...extra });
+
+    // Minutes into a day as a clock time ("--:--" when unknown); past midnight wraps to the next day
+    const formatClock = (minutes) => (minutes === null
+        ? '--:--'
+        : HR.i18n.formatTime(new Date(2000, 0, 1, 0, Math.round(minutes))));
+
+    // --- Helpers ---
+    const sendMessage = async (type, payload = {}) => {
+        try {
+            const response = await chrome.runtime.sendMessage({ type, ...payload });
+            return response || { ok: false, message: t('noResponse') };
+        } catch (e) {
+            HR.log.error(`Background message "${type}" failed`, e);
+            return { ok: false, message: t('backgroundUnavailable') };
+        }
+    };
+
+    const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+
+    const showToast = (msg) => {
+        if (!nodes.statusToast) return;
+        nodes.statusToast.textContent = msg;
+        nodes.statusToast.classList.add('show');
+        setTimeout(() => nodes.statusToast.classList.remove('show'), 3000);
+    };
+
+    // --- Bootstrap ---
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(self.HR);
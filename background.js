@@ -0,0 +1,1949 @@
+// Enterprise HR Portal - Background Service Worker
+// Owns the session, punch state and shift timer so they keep running while the popup is closed.
+importScripts('lib/log.js', 'lib/storage.js', 'lib/profiles.js', 'lib/policy.js', 'lib/attendance.js', 'lib/time.js', 'lib/api.js', 'lib/requests.js',
+    'lib/location.js', 'lib/i18n.js');
+
+(function (HR) {
+    'use strict';
+
+    // --- Configuration ---
+    // Typed storage (lib/storage.js); session and punch keys resolve against the active portal profile
+    const store = HR.storage;
+    const log = HR.log;
+    const t = HR.i18n.t;
+    const PUNCH_IN_REMINDER_HOUR = 10; // 10:00 local time, working days only
+    const STATUS_SYNC_MINUTES = 15;
+    const STATUS_POLL_MINUTES = 1;
+    const ALARMS = {
+        statusSync: 'status-sync',
+        statusPoll: 'status-poll',
+        minStayReached: 'min-stay-reached',
+        targetShiftReached: 'target-shift-reached',
+        punchInReminder: 'punch-in-reminder',
+        badgeTick: 'badge-tick',
+        queueRetry: 'punch-queue-retry',
+        sessionCheck: 'session-check',
+        breakDue: 'break-due',
+        breakOver: 'break-over'
+    };
+    const NOTIFICATIONS = {
+        sessionExpiring: 'session-expiring',
+        punchResult: 'punch-result',
+        status: 'attendance-status',
+        punchInPrompt: 'prompt-punch-in',
+        punchOutPrompt: 'prompt-punch-out',
+        awayPrompt: 'prompt-away-break'
+    };
+    const SESSION_WARNING_MS = 10 * 60 * 1000;
+    const TOKEN_REFRESH_LEEWAY_MS = 60 * 1000;
+    const QUEUE_RETRY_BASE_MS = 30 * 1000;
+    const QUEUE_RETRY_MAX_MS = 30 * 60 * 1000;
+    const HISTORY_PAGE_SIZE = 50;
+    const TEAM_CACHE_MS = 60 * 1000;
+    const PORTAL_SYNC_DELAY_MS = 2000; // Lets a punch made in the portal's own UI land before the status check
+    const PORTAL_SCRIPT_ID = 'portal-pages';
+    // Same files as the manifest's content_scripts entry for the built-in portal. No storage modules: portal
+    // pages get what they show from the worker.
+    const PORTAL_SCRIPT_FILES = ['lib/log.js', 'lib/time.js', 'lib/api.js', 'lib/attendance.js', 'lib/i18n.js', 'content.js'];
+    // Changes that portal pages redraw for (any profile's copy)
+    const PORTAL_PAGE_KEYS = new Set(['activeProfile', 'token', 'user', 'punchInTime', 'breakStartTime', 'breakLog',
+        'history', 'theme', 'displayPreferences', 'debugMode']);
+    const CLOCK_SKEW_TOLERANCE_MS = 5 * 1000;          // Below this the local clock is trusted as is
+    const PUNCH_CONFLICT_TOLERANCE_MS = 2 * 60 * 1000; // Punch-in times this close are the same punch
+    const BREAK_LOG_MAX_AGE_MS = 180 * 24 * 60 * 60 * 1000;
+    const NOTIFICATION_ICON = 'assets/icon-128.png';
+    const BADGE_COLORS = {
+        running: '#10b981',
+        overtime: '#f59e0b',
+        idle: '#64748b'
+    };
+
+    // --- Language ---
+    // Notifications, the toolbar title and response messages follow the display language (lib/i18n.js).
+    // Listeners that produce text wait for it on a fresh worker.
+    const loadLanguage = () => HR.i18n.load().catch(e => log.error('Display language failed to load', e));
+    let languageReady = loadLanguage();
+    const withLanguage = (listener) => (...args) => {
+        languageReady.then(() => listener(...args));
+    };
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes.displayPreferences) return;
+        languageReady = loadLanguage();
+        languageReady.then(getState).then(updateBadge);
+    });
+
+    // --- State ---
+    const getState = async () => {
+        const data = await store.get([
+            'token', 'tokenExpiresAt', 'refreshToken', 'user', 'punchInTime', 'breakStartTime', 'history',
+            'clockOffset', 'punchConflict', 'requests', 'requestsEndpoint', 'workLocation', 'teamEndpoint'
+        ]);
+        return {
+            loggedIn: !!data.token,
+            // Without a refresh token the user has to sign in again before this time
+            sessionExpiresAt: data.refreshToken ? null : (data.tokenExpiresAt || null),
+            sessionExpiring: !data.refreshToken && !!data.tokenExpiresAt &&
+                data.tokenExpiresAt - Date.now() < SESSION_WARNING_MS,
+            user: data.user || null,
+            punchInTime: data.punchInTime || null,
+            breakStartTime: data.breakStartTime || null,
+            // Office / Remote tag of the running shift
+            workLocation: data.punchInTime ? HR.location.normalize(data.workLocation) : null,
+            breaks: data.token ? await loadBreaks(data.user) : [],
+            // Server minus local clock; punch times are server time
+            clockOffset: data.clockOffset || 0,
+            punchConflict: data.punchConflict || null,
+            history: data.history || [],
+            queue: data.token ? await loadQueue(data.user) : [],
+            // Regularization / leave requests; the section is hidden when the portal has no endpoint for them
+            requests: data.requests || [],
+            requestsAvailable: data.requestsEndpoint !== false,
+            // Managers get a "My Team" tab unless the portal turned the team endpoint down
+            hasTeam: !!data.token && !!data.user?.hasReports && data.teamEndpoint !== false,
+            policy: await HR.policy.load(),
+            profile: await HR.profiles.getActive()
+        };
+    };
+
+    // Push the latest state to any open extension page (popup). Nobody listening is not an error.
+    const broadcastState = async () => {
+        const state = await getState();
+        logTransition(state);
+        await updateBadge(state);
+        try {
+            await chrome.runtime.sendMessage({ type: 'state-changed', state });
+        } catch (e) {
+            // No receiving end: the popup is closed.
+        }
+        return state;
+    };
+
+    // Today's attendance is done once the policy's punch limit is used up
+    const hasPunchedOutToday = (history, policy) => HR.policy.isDayComplete(history, policy);
+
+    // Server history plus punches still waiting in the offline queue
+    const policyHistory = (state) => [
+        ...(state.history || []),
+        ...(state.queue || []).filter(entry => entry.status === 'pending')
+    ];
+
+    // Response text as a _locales key plus substitutions, the way HR.requests.validate reports `error`: pages
+    // translate `messageKey` themselves, `message` is the same text for notifications and the log. Text from
+    // the portal (refusals, punch confirmations) has no key and stays as `message`.
+    const say = (messageKey, substitutions) => ({
+        messageKey,
+        ...(substitutions === undefined ? {} : { messageArgs: [].concat(substitutions).map(String) }),
+        message: t(messageKey, substitutions)
+    });
+
+    // The message fields kept with a queue or break entry, replacing any earlier ones
+    const entryMessage = ({ message = '', messageKey = null, messageArgs = null }) =>
+        ({ message, messageKey, messageArgs });
+
+    // --- Session Lifecycle ---
+    const startSession = async () => {
+        await chrome.alarms.create(ALARMS.statusSync, { periodInMinutes: STATUS_SYNC_MINUTES });
+        await chrome.alarms.create(ALARMS.statusPoll, { periodInMinutes: STATUS_POLL_MINUTES });
+        await schedulePunchInReminder();
+
+        const data = await store.get(['punchInTime', 'tokenExpiresAt']);
+        if (data.punchInTime) await scheduleShiftReminders(data.punchInTime, await HR.policy.load());
+        await scheduleQueueRetry();
+        await scheduleSessionCheck(data.tokenExpiresAt);
+    };
+
+    const endSession = async ({ preservePunch = false } = {}) => {
+        // Keep `punchInTime` on session expiry so the shift survives a re-login. Team presence is other
+        // people's data and never outlives the session.
+        const keys = ['token', 'tokenExpiresAt', 'user', 'team', 'teamEndpoint'];
+        if (!preservePunch) keys.push('punchInTime', 'breakStartTime', 'workLocation', 'punchConflict');
+
+        // The refresh token only outlives the session when Remember Me is on
+        const data = await store.get('savedCreds');
+        if (!data.savedCreds) keys.push('refreshToken');
+
+        await store.remove(keys);
+        await chrome.alarms.clear(ALARMS.statusSync);
+        await chrome.alarms.clear(ALARMS.statusPoll);
+        await chrome.alarms.clear(ALARMS.punchInReminder);
+        await chrome.alarms.clear(ALARMS.sessionCheck);
+        chrome.notifications.clear(NOTIFICATIONS.sessionExpiring);
+        if (!preservePunch) await clearShiftReminders();
+        return broadcastState();
+    };
+
+    // --- Token Lifecycle ---
+    // Persist a freshly issued token set (an HR.api Session) and time the "session expiring" check.
+    const storeTokens = async ({ token, refreshToken, expiresAt }) => {
+        await store.set({ token, tokenExpiresAt: expiresAt });
+        if (refreshToken) {
+            await store.set({ refreshToken });
+        } else {
+            await store.remove('refreshToken');
+        }
+        await scheduleSessionCheck(expiresAt);
+    };
+
+    const scheduleSessionCheck = async (tokenExpiresAt) => {
+        await chrome.alarms.clear(ALARMS.sessionCheck);
+        if (!tokenExpiresAt) return;
+
+        // Refresh (or warn) a little before the token actually expires
+        const when = Math.max(tokenExpiresAt - SESSION_WARNING_MS, Date.now() + 30000);
+        await chrome.alarms.create(ALARMS.sessionCheck, { when });
+    };
+
+    // Exchange the refresh token for a new access token. Concurrent callers share one request.
+    let refreshInFlight = null;
+    const refreshSession = () => {
+        if (refreshInFlight) return refreshInFlight;
+
+        refreshInFlight = (async () => {
+            const data = await store.get('refreshToken');
+            if (!data.refreshToken) return false;
+
+            try {
+                await storeTokens(await api.refresh(data.refreshToken));
+                return true;
+            } catch (e) {
+                log.error('Token refresh failed', e);
+                // Revoked, expired or no refresh endpoint: the refresh token is of no further use
+                if (!e.retryable) await store.remove('refreshToken');
+                return false;
+            }
+        })().finally(() => {
+            refreshInFlight = null;
+        });
+        return refreshInFlight;
+    };
+
+    // Alarm shortly before expiry: refresh silently, or warn the user while there is still time.
+    const checkSession = async () => {
+        const data = await store.get(['token', 'tokenExpiresAt']);
+        if (!data.token || !data.tokenExpiresAt) return;
+        if (await refreshSession()) return;
+
+        const minutes = Math.max(0, Math.round((data.tokenExpiresAt - Date.now()) / 60000));
+        notify(NOTIFICATIONS.sessionExpiring, {
+            title: t('notifySessionExpiringTitle'),
+            message: minutes > 0 ? t('notifySessionEndsIn', minutes) : t('notifySessionEnded')
+        });
+        await broadcastState();
+    };
+
+    const login = async ({ email, password, remember }) => {
+        if (!email || !password) {
+            return { ok: false, ...say('invalidCredentials') };
+        }
+
+        let session;
+        try {
+            session = await api.login({ email, password });
+        } catch (e) {
+            log.error('Login failed', e);
+            const reason = e instanceof HR.api.AuthError ? { message: e.message } : say('loginConnectionError');
+            return { ok: false, ...reason };
+        }
+
+        // Handle Remember Me: never persist the password, only the email (the refresh token lives with the session)
+        if (remember) {
+            await store.set({ savedCreds: { email } });
+        } else {
+            await store.remove('savedCreds');
+        }
+
+        await storeTokens(session);
+        await beginSession({ name: session.user?.name || email.split('@')[0], email });
+        return { ok: true, ...say('welcomeBack'), state: await getState() };
+    };
+
+    // Queued punches and breaks belong to the account that signed in. The portal's profile may report
+    // another email (a business address), so the sign-in email is kept as `user.account` for the session.
+    const accountOf = (email) => String(email || '').trim().toLowerCase() || null;
+
+    // Tokens are stored; record the user and start the session (password login or a portal page's Connect)
+    const beginSession = async (user) => {
+        await store.set({ user: { ...user, account: accountOf(user.email) } });
+        await store.remove('breakEndpoint'); // Check again whether the portal records breaks
+        await startSession();
+        syncWithServer(); // Pull profile, history and status without holding up the response
+    };
+
+    // Sign back in with the Remember Me refresh token instead of a stored password.
+    const restoreRememberedLogin = async () => {
+        const data = await store.get(['token', 'savedCreds', 'refreshToken']);
+        if (data.token) return { ok: true, state: await getState() };
+        if (!data.savedCreds?.email || !data.refreshToken) return { ok: false, state: await getState() };
+
+        if (!(await refreshSession())) {
+            return { ok: false, ...say('signInAgainPlease'), state: await getState() };
+        }
+
+        const { email } = data.savedCreds;
+        await store.set({ user: { name: email.split('@')[0], email, account: accountOf(email) } });
+        await startSession();
+        syncWithServer(); // Pull the real profile name, history and status
+        return { ok: true, ...say('welcomeBack'), state: await getState() };
+    };
+
+    const logout = async () => {
+        const data = await store.get(['token']);
+
+        if (data.token) {
+            try {
+                // Notifying server of logout
+                await api.logout(data.token);
+            } catch (e) {
+                log.error('Logout API failure', e);
+            }
+        }
+
+        // An explicit sign-out also ends the remembered session; only the email stays for prefill
+        await store.remove('refreshToken');
+        return { ok: true, ...say('loggedOut'), state: await endSession() };
+    };
+
+    // User chose "Sign in again" from the expiry prompt: back to the login view, shift intact.
+    const reauthenticate = async () => ({ ok: true, state: await endSession({ preservePunch: true }) });
+
+    // --- API Helpers ---
+    const apiBase = async () => (await HR.profiles.getActive()).baseUrl;
+
+    // Current access token, refreshed ahead of expiry rather than waiting for the 401
+    const currentToken = async () => {
+        const data = await store.get(['token', 'tokenExpiresAt']);
+        if (data.token && data.tokenExpiresAt && data.tokenExpiresAt - Date.now() < TOKEN_REFRESH_LEEWAY_MS &&
+            await refreshSession()) {
+            return (await store.get('token')).token;
+        }
+        return data.token;
+    };
+
+    // Typed client (lib/api.js). A 401 is retried once after a refresh; an unrecoverable session is
+    // ended without wiping punch state from storage.
+    const api = HR.api.createClient({
+        baseUrl: apiBase,
+        getToken: currentToken,
+        refresh: () => refreshSession(),
+        onSessionExpired: () => endSession({ preservePunch: true }),
+        onClockOffset: (offset) => recordClockOffset(offset),
+        onCall: (call) => log.debug(`${call.method} ${call.endpoint}`, call)
+    });
+
+    // --- Server Clock ---
+    // Punches are stamped with the portal's time, so a wrong PC clock can't shift attendance.
+    let clockMeasured = false; // A `Date` header (or /time) has been seen since the worker started
+
+    const recordClockOffset = async (offset) => {
+        clockMeasured = true;
+        const clockOffset = Math.abs(offset) < CLOCK_SKEW_TOLERANCE_MS ? 0 : Math.round(offset);
+        const data = await store.get('clockOffset');
+        // The header has one-second resolution: ignore jitter around the stored estimate
+        if (Math.abs((data.clockOffset || 0) - clockOffset) < 1000) return;
+        await store.set({ clockOffset });
+        if (clockOffset) log.warn(`Local clock differs from the portal by ${Math.round(clockOffset / 1000)}s`);
+    };
+
+    const serverNow = async () => Date.now() + ((await store.get('clockOffset')).clockOffset || 0);
+
+    // Fallback for portals whose `Date` header is not readable
+    const syncClock = async () => {
+        if (clockMeasured) return;
+        try {
+            await api.time();
+        } catch (e) {
+            log.error('Server time check failed', e);
+        }
+    };
+
+    const fetchMe = async () => {
+        try {
+            const me = await api.me();
+            const { user } = await store.get('user');
+            if (!user) return; // Signed out meanwhile
+            await store.set({ user: { ...me, account: user.account || accountOf(me.email) } });
+        } catch (e) {
+            log.error('Fetch Me failed', e);
+        }
+    };
+
+    const fetchHistory = async () => {
+        try {
+            const { entries } = await api.history();
+            await store.set({ history: entries });
+            return true;
+        } catch (e) {
+            log.error('Fetch History failed', e);
+        }
+        return false;
+    };
+
+    // One page of history for a date range (YYYY-MM-DD). Servers without pagination metadata are
+    // treated as returning everything at once; offline, the cached history is filtered instead.
+    const fetchHistoryPage = async ({ from, to, page = 1, perPage = HISTORY_PAGE_SIZE }) => {
+        const policy = await HR.policy.load();
+
+        // Breaks kept on this device ride along with the first page
+        const data = await store.get(['history', 'user']);
+        const localBreaks = page === 1
+            ? HR.attendance.filterByRange(await loadBreaks(data.user), from, to, policy)
+            : [];
+
+        try {
+            const result = await api.history({ from, to, page, perPage });
+            return {
+                ok: true,
+                source: 'server',
+                page,
+                hasMore: (result.lastPage || 0) > page,
+                entries: HR.attendance.withLocalBreaks(HR.attendance.filterByRange(result.entries, from, to, policy), localBreaks)
+            };
+        } catch (e) {
+            log.error('Fetch History Page failed', e);
+        }
+
+        const cached = HR.attendance.filterByRange(
+            HR.attendance.withLocalBreaks(data.history, await loadBreaks(data.user)), from, to, policy
+        )
+            .sort((a, b) => HR.attendance.toTimestamp(b.timestamp) - HR.attendance.toTimestamp(a.timestamp));
+        const start = (page - 1) * perPage;
+        return {
+            ok: true,
+            source: 'cache',
+            page,
+            hasMore: cached.length > start + perPage,
+            entries: cached.slice(start, start + perPage)
+        };
+    };
+
+    // Organisation-wide attendance policy; endpoints without one keep the local settings.
+    const fetchPolicy = async () => {
+        try {
+            const raw = await api.policy();
+            if (raw === null) {
+                await store.remove('serverPolicy');
+                return;
+            }
+            const serverPolicy = HR.policy.normalize(raw);
+            if (Object.keys(serverPolicy).length) {
+                await store.set({ serverPolicy });
+            }
+        } catch (e) {
+            log.error('Fetch Policy failed', e);
+        }
+    };
+
+    // Compare the portal's punch state with ours. The portal is the authority for punches made elsewhere
+    // (the web portal, another browser or Chrome profile) after this browser's last punch; older
+    // disagreements, where the portal may have lost our punch, are surfaced to the user as a
+    // `punchConflict` (see resolveConflict). Resolves true when the local punch state changed.
+    const fetchStatus = async () => {
+        let status;
+        try {
+            status = await api.status();
+        } catch (e) {
+            log.error('Fetch Status failed', e);
+            return false; // Keep local state until the portal answers
+        }
+
+        const data = await store.get(['punchInTime', 'user', 'punchConflict', 'dismissedConflict', 'lastLocalPunchAt']);
+        // Offline punches the portal hasn't seen yet explain any difference
+        const queue = await loadQueue(data.user);
+        if (queue.some(entry => entry.status === 'pending')) return false;
+
+        const policy = await HR.policy.load();
+        const localPunchInTime = data.punchInTime || null;
+        if (status.isPunchedIn && !localPunchInTime) {
+            // Punched in elsewhere: adopt the portal's start time
+            const startTime = status.punchInTime || await serverNow();
+            await applyPunch('in', startTime, policy);
+            log.info('Adopted punch in made elsewhere', { punchInTime: startTime });
+            return true;
+        }
+
+        let kind = null;
+        if (!status.isPunchedIn && localPunchInTime) {
+            kind = 'not-punched-in';
+        } else if (status.isPunchedIn && status.punchInTime &&
+            Math.abs(status.punchInTime - localPunchInTime) > PUNCH_CONFLICT_TOLERANCE_MS) {
+            kind = 'start-mismatch';
+        }
+
+        if (!kind) {
+            if (data.punchConflict) await store.remove('punchConflict');
+            return false;
+        }
+
+        const conflict = {
+            id: `${kind}:${localPunchInTime}:${status.punchInTime || ''}`,
+            kind,
+            localPunchInTime,
+            serverPunchInTime: status.punchInTime
+        };
+        // Already settled by the user: no history lookup on every poll while it stays the same
+        if (conflict.id === data.dismissedConflict) return false;
+
+        const ourLastPunch = Math.max(localPunchInTime, data.lastLocalPunchAt || 0);
+        if (kind === 'not-punched-in' && await latestServerPunch('out') > ourLastPunch) {
+            await applyPunch('out', null, policy);
+            log.info('Adopted punch out made elsewhere');
+            return true;
+        }
+        if (kind === 'start-mismatch' && status.punchInTime > ourLastPunch) {
+            await applyPunch('in', status.punchInTime, policy);
+            log.info('Adopted punch in made elsewhere', { punchInTime: status.punchInTime });
+            return true;
+        }
+
+        if (conflict.id === data.punchConflict?.id) return false;
+        await store.set({ punchConflict: conflict });
+        return false;
+    };
+
+    // Newest `type` punch in the portal's history (epoch ms, 0 when there is none or it can't be read)
+    const latestServerPunch = async (type) => {
+        if (!await fetchHistory()) return 0;
+        const data = await store.get('history');
+        return Math.max(0, ...(data.history || []).filter(entry => entry.type === type).map(entry => entry.timestamp));
+    };
+
+    // --- Status Polling ---
+    // A lightweight /user/status check between full syncs, so punches made elsewhere show up within a
+    // minute. Skipped while the screen is locked.
+    const pollStatus = async () => {
+        const data = await store.get('token');
+        if (!data.token || await chrome.idle.queryState(15 * 60) === 'locked') return;
+        if (!await fetchStatus()) return;
+        await fetchHistory();
+        await broadcastState();
+    };
+
+    // choice 'server' adopts the portal's state; 'local' keeps ours, re-sending a Punch In the portal lost.
+    const resolveConflict = async ({ choice }) => {
+        const data = await store.get(['punchConflict', 'user', 'workLocation']);
+        const conflict = data.punchConflict;
+        if (!conflict) return { ok: false, ...say('nothingToResolve'), state: await getState() };
+
+        const policy = await HR.policy.load();
+        let message;
+        if (choice === 'server') {
+            if (conflict.kind === 'not-punched-in') {
+                await applyPunch('out', null, policy);
+                message = 'conflictUsedPortalOut';
+            } else {
+                await applyPunch('in', conflict.serverPunchInTime, policy);
+                message = 'conflictUsedPortalTime';
+            }
+        } else if (conflict.kind === 'not-punched-in') {
+            await enqueuePunch({
+                type: 'in',
+                timestamp: conflict.localPunchInTime,
+                previousPunchInTime: null,
+                workLocation: HR.location.normalize(data.workLocation)
+            }, data.user);
+            await replayQueue();
+            await scheduleQueueRetry();
+            message = 'conflictKeptResent';
+        } else {
+            message = 'conflictKeptTime';
+        }
+
+        await store.set({ dismissedConflict: conflict.id });
+        await store.remove('punchConflict');
+        return { ok: true, ...say(message), state: await broadcastState() };
+    };
+
+    const syncWithServer = async () => {
+        const data = await store.get('token');
+        if (!data.token) return getState();
+
+        // Flush offline punches first so the status below reflects them
+        await replayQueue();
+        await flushBreaks();
+        await syncClock();
+        await Promise.all([fetchMe(), fetchHistory(), fetchPolicy(), fetchRequests()]);
+        await fetchStatus();
+
+        const state = await getState();
+        if (state.punchInTime) await scheduleShiftReminders(state.punchInTime, state.policy);
+        return broadcastState();
+    };
+
+    // --- Punch Flow ---
+    // POST a single punch with its real timestamp. `retryable` marks failures worth queueing
+    // (network down, server errors) as opposed to the server rejecting the punch.
+    const sendPunch = async (type, timestamp, workLocation = null) => {
+        try {
+            const result = await api.punch({ type, timestamp, workLocation });
+            return { ok: true, message: result.message };
+        } catch (e) {
+            log.error('Punch action failed', e);
+            return {
+                ok: false,
+                retryable: e.retryable,
+                sessionExpired: e instanceof HR.api.AuthError,
+                ...(e instanceof HR.api.RejectedError
+                    ? { message: e.message }
+                    : say('punchFailed', e.message || t('punchFailedNetwork')))
+            };
+        }
+    };
+
+    // Local effect of a punch (live or queued): punch-in time, work location and shift reminders. `local`
+    // marks punches made in this browser, as opposed to ones adopted from the portal.
+    const applyPunch = async (type, timestamp, policy, { local = false, workLocation = null } = {}) => {
+        await store.remove('punchConflict');
+        if (local) await store.set({ lastLocalPunchAt: timestamp });
+        if (type === 'in') {
+            await store.set({ punchInTime: timestamp, workLocation });
+            await scheduleShiftReminders(timestamp, policy);
+        } else {
+            await store.remove(['punchInTime', 'breakStartTime', 'workLocation']);
+            await clearShiftReminders();
+        }
+    };
+
+    // `expectedType` guards stale triggers (e.g. a "Punch Out" notification clicked after punching out elsewhere).
+    // `workLocation` is the popup's Office / Remote choice; see resolveWorkLocation for the other triggers.
+    const punch = async ({ expectedType, workLocation: chosenLocation } = {}) => {
+        const data = await store.get(['punchInTime', 'token', 'history', 'user', 'workLocation']);
+        if (!data.token) {
+            return { ok: false, ...say('sessionExpired'), state: await endSession({ preservePunch: true }) };
+        }
+
+        const isPunchedIn = !!data.punchInTime;
+        const type = isPunchedIn ? 'out' : 'in';
+        const now = await serverNow();
+
+        if (expectedType && expectedType !== type) {
+            return { ok: false, ...say(isPunchedIn ? 'alreadyPunchedIn' : 'alreadyPunchedOut') };
+        }
+
+        // Policy checks: punches per day, minimum stay and work location (pending offline punches count too)
+        const policy = await HR.policy.load();
+        const queue = await loadQueue(data.user);
+        const history = [...(data.history || []), ...queue.filter(entry => entry.status === 'pending')];
+        const workLocation = await resolveWorkLocation(type, chosenLocation, data.workLocation);
+        const check = HR.policy.checkPunch({ punchInTime: data.punchInTime, history, workLocation }, policy, now);
+        if (!check.allowed) {
+            return { ok: false, ...say(check.error, check.remainingMinutes) };
+        }
+
+        // A break still running ends with the shift (posted before the punch out)
+        if (type === 'out') await endOpenBreak(now, data.user);
+
+        // Keep punches in order: anything behind a pending punch waits in the queue too
+        const mustQueue = !navigator.onLine || queue.some(entry => entry.status === 'pending');
+        if (!mustQueue) {
+            const result = await sendPunch(type, now, workLocation);
+            if (result.ok) {
+                await applyPunch(type, now, policy, { local: true, workLocation });
+
+                // Only fetch history, don't fetch status (it might overwrite our state)
+                await fetchHistory();
+
+                const confirmation = result.message
+                    ? { message: result.message }
+                    : say(type === 'in' ? 'punchedInOk' : 'punchedOutOk');
+                return { ok: true, ...confirmation, state: await broadcastState() };
+            }
+            if (!result.retryable && !result.sessionExpired) {
+                return { ok: false, ...entryMessage(result) };
+            }
+
+            // Session ran out mid-punch: keep the punch and sync it after the next sign-in
+            if (result.sessionExpired) {
+                await enqueuePunch({ type, timestamp: now, previousPunchInTime: data.punchInTime || null, workLocation }, data.user);
+                await applyPunch(type, now, policy, { local: true, workLocation });
+                return { ok: true, ...say('punchSavedSessionExpired'), state: await broadcastState() };
+            }
+        }
+
+        await enqueuePunch({ type, timestamp: now, previousPunchInTime: data.punchInTime || null, workLocation }, data.user);
+        await applyPunch(type, now, policy, { local: true, workLocation });
+        await scheduleQueueRetry();
+        return {
+            ok: true,
+            ...say(type === 'in' ? 'punchInSavedOffline' : 'punchOutSavedOffline'),
+            state: await broadcastState()
+        };
+    };
+
+    // --- Work Location ---
+    // Office / Remote tag of a punch: the popup's choice, else the running shift's tag for a punch out,
+    // else what the office network suggests (shortcuts and notifications have no dropdown). Position
+    // checks need a page, so only the popup runs them.
+    const resolveWorkLocation = async (type, chosen, shiftLocation) => {
+        const location = HR.location.normalize(chosen) ||
+            (type === 'out' ? HR.location.normalize(shiftLocation) : null);
+        if (location) return location;
+        return (await suggestWorkLocation()).location;
+    };
+
+    const suggestWorkLocation = async () => {
+        const settings = await HR.location.load();
+        const location = await HR.location.fromNetwork(settings.officeNetworks);
+        if (location) log.debug('Work location suggested from the office network', { location });
+        return { ok: true, location, source: location ? 'network' : null };
+    };
+
+    const saveLocationSettings = async ({ settings }) => {
+        const result = HR.location.validate(settings);
+        if (!result.ok) return { ok: false, ...say(result.error, result.errorArgs), settings: await HR.location.load() };
+
+        await store.set({ locationSettings: result.settings });
+        return { ok: true, ...say('locationSettingsSaved'), settings: result.settings };
+    };
+
+    // --- Offline Punch Queue ---
+    // Entries: { id, account, type, timestamp, previousPunchInTime, workLocation, status, attempts, nextAttemptAt,
+    // message, messageKey, messageArgs }
+    // status is 'pending' until the server accepts ('synced') or refuses ('rejected') the punch.
+    const loadQueue = async (user) => {
+        const data = await store.get('punchQueue');
+        const queue = data.punchQueue || [];
+        return user ? queue.filter(entry => entry.account === user.account) : queue;
+    };
+
+    const updateQueue = async (mutate) => {
+        const data = await store.get('punchQueue');
+        const queue = mutate(data.punchQueue || []);
+        await store.set({ punchQueue: queue });
+        return queue;
+    };
+
+    const enqueuePunch = (punchEntry, user) => updateQueue(queue => [...queue, {
+        id: `${punchEntry.timestamp}-${punchEntry.type}`,
+        account: user?.account || null,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0,
+        message: '',
+        ...punchEntry
+    }]);
+
+    const patchQueueEntry = (id, patch) =>
+        updateQueue(queue => queue.map(entry => (entry.id === id ? { ...entry, ...patch } : entry)));
+
+    const retryDelay = (attempts) => Math.min(QUEUE_RETRY_BASE_MS * 2 ** attempts, QUEUE_RETRY_MAX_MS);
+
+    const scheduleQueueRetry = async () => {
+        const data = await store.get('user');
+        const pending = (await loadQueue(data.user)).filter(entry => entry.status === 'pending');
+        if (!pending.length) {
+            await chrome.alarms.clear(ALARMS.queueRetry);
+            return;
+        }
+
+        // Chrome does not fire alarms sooner than 30 seconds
+        const when = Math.max(pending[0].nextAttemptAt, Date.now() + 30000);
+        await chrome.alarms.create(ALARMS.queueRetry, { when });
+    };
+
+    // Undo the optimistic local effect of a punch the server refused.
+    const rollbackPunch = async (entry) => {
+        const data = await store.get('punchInTime');
+        if (entry.type === 'in' && data.punchInTime === entry.timestamp) {
+            await store.remove(['punchInTime', 'workLocation']);
+            await clearShiftReminders();
+        } else if (entry.type === 'out' && !data.punchInTime && entry.previousPunchInTime) {
+            // A punch out carries its shift's tag
+            await store.set({ punchInTime: entry.previousPunchInTime, workLocation: entry.workLocation || null });
+            await scheduleShiftReminders(entry.previousPunchInTime, await HR.policy.load());
+        }
+    };
+
+    // Replay pending punches strictly in order; stop at the first one that still can't get through.
+    let replayInFlight = null;
+    const replayQueue = () => {
+        if (replayInFlight) return replayInFlight;
+
+        replayInFlight = (async () => {
+            const data = await store.get(['token', 'user']);
+            if (!data.token || !navigator.onLine) return;
+
+            let synced = false;
+            const pending = (await loadQueue(data.user)).filter(entry => entry.status === 'pending');
+            for (const entry of pending) {
+                if (entry.nextAttemptAt > Date.now()) break;
+
+                const result = await sendPunch(entry.type, entry.timestamp, entry.workLocation);
+                if (result.ok) {
+                    await patchQueueEntry(entry.id, { status: 'synced', ...entryMessage(result) });
+                    synced = true;
+                } else if (result.retryable || result.sessionExpired) {
+                    const attempts = entry.attempts + 1;
+                    await patchQueueEntry(entry.id, {
+                        attempts,
+                        nextAttemptAt: Date.now() + retryDelay(attempts),
+                        ...entryMessage(result)
+                    });
+                    break;
+                } else {
+                    await patchQueueEntry(entry.id, { status: 'rejected', ...entryMessage(result) });
+                    await rollbackPunch(entry);
+                    notify(`punch-rejected-${entry.id}`, {
+                        title: t('notifyPunchRejected'),
+                        message: result.message
+                    });
+                }
+            }
+
+            // Synced entries drop out once the server history includes them
+            if (synced && await fetchHistory()) {
+                await updateQueue(queue => queue.filter(entry => entry.status !== 'synced'));
+            }
+
+            await scheduleQueueRetry();
+            await broadcastState();
+        })().finally(() => {
+            replayInFlight = null;
+        });
+        return replayInFlight;
+    };
+
+    const dismissQueueEntry = async ({ id }) => {
+        await updateQueue(queue => queue.filter(entry => !(entry.id === id && entry.status === 'rejected')));
+        return broadcastState();
+    };
+
+    // --- Breaks ---
+    // Entries: { id, account, type: 'break-start' | 'break-end', timestamp, status, message }
+    // status: 'synced' (portal recorded it), 'local' (portal has no break endpoint), 'pending', 'rejected'
+    const loadBreaks = async (user) => {
+        const data = await store.get('breakLog');
+        const breaks = data.breakLog || [];
+        return user ? breaks.filter(entry => entry.account === user.account) : breaks;
+    };
+
+    const updateBreaks = async (mutate) => {
+        const data = await store.get('breakLog');
+        await store.set({ breakLog: mutate(data.breakLog || []) });
+    };
+
+    // Post a break marker when the portal supports it (remembered per profile until the next sign-in).
+    const sendBreak = async (type, timestamp) => {
+        const data = await store.get('breakEndpoint');
+        if (data.breakEndpoint === false) return { status: 'local', message: '' };
+
+        try {
+            const result = await api.breakAction({ type: type === 'break-start' ? 'start' : 'end', timestamp });
+            if (result === null) {
+                await store.set({ breakEndpoint: false });
+                return { status: 'local', message: '' };
+            }
+            return { status: 'synced', message: result.message };
+        } catch (e) {
+            log.error('Break action failed', e);
+            if (e.retryable || e instanceof HR.api.AuthError) {
+                return { status: 'pending', ...say('willSyncWhenReachable') };
+            }
+            return { status: 'rejected', message: e.message };
+        }
+    };
+
+    const recordBreak = async (type, timestamp, user) => {
+        // Anything behind an unsent marker waits too, so the portal sees them in order
+        const unsent = (await loadBreaks(user)).some(entry => entry.status === 'pending');
+        const result = unsent || !navigator.onLine
+            ? { status: 'pending', ...say('willSyncWhenReachable') }
+            : await sendBreak(type, timestamp);
+
+        const entry = {
+            id: `${timestamp}-${type}`,
+            account: user?.account || null,
+            type,
+            timestamp,
+            status: result.status,
+            ...entryMessage(result)
+        };
+        const cutoff = Date.now() - BREAK_LOG_MAX_AGE_MS;
+        await updateBreaks(breaks => [...breaks.filter(item => item.timestamp >= cutoff), entry]);
+        return entry;
+    };
+
+    // Retry unsent markers in order; stop at the first that still can't get through.
+    const flushBreaks = async () => {
+        const data = await store.get('user');
+        const pending = (await loadBreaks(data.user)).filter(entry => entry.status === 'pending');
+        for (const entry of pending) {
+            const result = await sendBreak(entry.type, entry.timestamp);
+            if (result.status === 'pending') break;
+            const patch = { status: result.status, ...entryMessage(result) };
+            await updateBreaks(breaks => breaks.map(item => (item.id === entry.id ? { ...item, ...patch } : item)));
+        }
+    };
+
+    const endOpenBreak = async (timestamp, user) => {
+        const data = await store.get('breakStartTime');
+        if (!data.breakStartTime) return;
+        await recordBreak('break-end', timestamp, user);
+        await store.remove('breakStartTime');
+    };
+
+    // `expectedType` ('start' | 'end') guards stale notification buttons, like punch().
+    const toggleBreak = async ({ expectedType } = {}) => {
+        const data = await store.get(['token', 'punchInTime', 'breakStartTime', 'user']);
+        if (!data.token) {
+            return { ok: false, ...say('sessionExpired'), state: await endSession({ preservePunch: true }) };
+        }
+        if (!data.punchInTime) return { ok: false, ...say('punchInBeforeBreak') };
+
+        const type = data.breakStartTime ? 'end' : 'start';
+        if (expectedType && expectedType !== type) {
+            return { ok: false, ...say(data.breakStartTime ? 'alreadyOnBreak' : 'noBreakInProgress') };
+        }
+
+        const now = await serverNow();
+        let message;
+        if (type === 'start') {
+            const entry = await recordBreak('break-start', now, data.user);
+            await store.set({ breakStartTime: now });
+            message = entry.status === 'rejected' ? say('breakStartedLocally', entry.message) : say('breakStarted');
+        } else {
+            await endOpenBreak(now, data.user);
+            message = say('breakEndedAfter', HR.i18n.formatDuration(now - data.breakStartTime));
+        }
+
+        await scheduleShiftReminders(data.punchInTime, await HR.policy.load());
+        return { ok: true, ...message, state: await broadcastState() };
+    };
+
+    // --- Attendance Requests ---
+    // Regularization and leave requests filed with the portal, cached per profile for offline display.
+    const fetchRequests = async () => {
+        try {
+            const requests = await api.requests();
+            if (requests === null) {
+                await store.set({ requestsEndpoint: false });
+                await store.remove('requests');
+                return;
+            }
+            await store.set({ requests, requestsEndpoint: true });
+        } catch (e) {
+            log.error('Fetch Requests failed', e);
+        }
+    };
+
+    // Unlike punches, requests are not queued offline: the portal assigns the ID and runs the approval.
+    const submitRequest = async ({ draft }) => {
+        const data = await store.get(['token', 'requests']);
+        if (!data.token) {
+            return { ok: false, ...say('sessionExpired'), state: await endSession({ preservePunch: true }) };
+        }
+
+        const check = HR.requests.validate(draft, { policy: await HR.policy.load(), now: await serverNow() });
+        if (!check.ok) return { ok: false, ...say(check.error, check.errorArgs) };
+
+        let created;
+        try {
+            created = await api.submitRequest(check.request);
+        } catch (e) {
+            log.error('Submit Request failed', e);
+            return { ok: false, ...(e.retryable ? say('portalUnreachableRetry') : { message: e.message }) };
+        }
+
+        const requests = (data.requests || []).filter(item => item.id !== created.id);
+        await store.set({ requests: [created, ...requests] });
+        const day = HR.i18n.formatDate(HR.attendance.fromDateKey(created.day));
+        return {
+            ok: true,
+            ...say(created.kind === 'leave' ? 'requestSubmittedLeave' : 'requestSubmittedRegularization', day),
+            state: await broadcastState()
+        };
+    };
+
+    // --- Team Presence ---
+    // A manager's reports, cached for a minute so reopening the popup or switching tabs doesn't refetch.
+    // When a refresh fails the last snapshot is shown, marked stale.
+    const getTeam = async ({ refresh = false } = {}) => {
+        const data = await store.get(['token', 'user', 'team']);
+        if (!data.token || !data.user?.hasReports) return { ok: false, ...say('noTeam') };
+
+        const cached = data.team || null;
+        if (!refresh && cached && await serverNow() - cached.fetchedAt < TEAM_CACHE_MS) {
+            return { ok: true, team: cached, stale: false };
+        }
+
+        try {
+            const team = await api.team();
+            if (team === null) {
+                await store.set({ teamEndpoint: false });
+                await store.remove('team');
+                await broadcastState();
+                return { ok: false, ...say('noTeamView') };
+            }
+            await store.set({ team, teamEndpoint: true });
+            return { ok: true, team, stale: false };
+        } catch (e) {
+            log.error('Fetch Team failed', e);
+            const message = e.retryable ? say('portalUnreachable') : { message: e.message };
+            if (!cached) return { ok: false, ...message };
+            return { ok: true, team: cached, stale: true, ...message };
+        }
+    };
+
+    // --- Reminders & Notifications ---
+    // Text is built when the notification shows, in the current language
+    const REMINDERS = {
+        [ALARMS.minStayReached]: {
+            title: () => t('reminderMinStayTitle'),
+            message: () => t('reminderMinStayMessage'),
+            action: 'out'
+        },
+        [ALARMS.targetShiftReached]: {
+            title: () => t('reminderShiftCompleteTitle'),
+            message: (policy) =>
+                t('reminderShiftCompleteMessage', HR.i18n.formatMinutes(Math.round(policy.targetHours * 60))),
+            action: 'out'
+        },
+        [ALARMS.punchInReminder]: {
+            title: () => t('reminderPunchInTitle'),
+            message: () =>
+                t('reminderPunchInMessage', HR.i18n.formatTime(new Date().setHours(PUNCH_IN_REMINDER_HOUR, 0, 0, 0))),
+            action: 'in'
+        },
+        [ALARMS.breakDue]: {
+            title: () => t('reminderBreakDueTitle'),
+            message: (policy) => t('reminderBreakDueMessage', HR.i18n.formatMinutes(policy.breakReminderMinutes)),
+            action: 'break-start'
+        },
+        [ALARMS.breakOver]: {
+            title: () => t('reminderBreakOverTitle'),
+            message: (policy) => t('reminderBreakOverMessage', HR.i18n.formatMinutes(policy.maxBreakMinutes)),
+            action: 'break-end'
+        }
+    };
+
+    // Button labels (_locales keys, shared with the popup)
+    const ACTION_LABELS = {
+        in: 'punchIn',
+        out: 'punchOut',
+        'break-start': 'startBreak',
+        'break-end': 'endBreak',
+        'away-break': 'countAsBreak'
+    };
+
+    // Reminders offer one `action`, prompts may offer several `actions` (one button each)
+    const actionsOf = (item) => item.actions || (item.action ? [item.action] : []);
+
+    // `context` (the policy for reminders) is passed to title and message functions
+    const notify = (id, item, context) => {
+        const text = (value) => (typeof value === 'function' ? value(context) : value);
+        const buttons = actionsOf(item).map(action => ({ title: t(ACTION_LABELS[action]) }));
+        chrome.notifications.create(id, {
+            type: 'basic',
+            iconUrl: NOTIFICATION_ICON,
+            title: text(item.title),
+            message: text(item.message),
+            buttons,
+            requireInteraction: buttons.length > 0
+        });
+    };
+
+    // Punch times are server time; alarms run on the local clock. Breaks push the target back
+    // (net worked time) and pause it while one is running.
+    const scheduleShiftReminders = async (punchInTime, policy) => {
+        const now = Date.now();
+        const data = await store.get(['clockOffset', 'breakStartTime', 'history', 'user']);
+        const offset = data.clockOffset || 0;
+        const breaks = HR.attendance.withLocalBreaks(data.history, await loadBreaks(data.user));
+        const lastBreakEnd = Math.max(punchInTime, ...breaks
+            .filter(item => item.type === 'break-end')
+            .map(item => HR.attendance.toTimestamp(item.timestamp)));
+        const onBreak = !!data.breakStartTime;
+
+        const localStart = punchInTime - offset;
+        const schedule = [
+            [ALARMS.minStayReached, localStart + HR.policy.minStayMs(policy)],
+            [ALARMS.targetShiftReached, onBreak
+                ? null
+                : localStart + HR.policy.targetMs(policy) + HR.attendance.breakMs(breaks, punchInTime, now + offset)],
+            [ALARMS.breakDue, !onBreak && policy.breakReminderMinutes > 0
+                ? lastBreakEnd - offset + policy.breakReminderMinutes * 60000
+                : null],
+            [ALARMS.breakOver, onBreak && policy.maxBreakMinutes > 0
+                ? data.breakStartTime - offset + policy.maxBreakMinutes * 60000
+                : null]
+        ];
+
+        for (const [name, when] of schedule) {
+            if (when && when > now) {
+                await chrome.alarms.create(name, { when });
+            } else {
+                await chrome.alarms.clear(name);
+            }
+        }
+    };
+
+    const clearShiftReminders = async () => {
+        for (const name of [ALARMS.minStayReached, ALARMS.targetShiftReached, ALARMS.breakDue, ALARMS.breakOver]) {
+            await chrome.alarms.clear(name);
+            chrome.notifications.clear(name);
+        }
+    };
+
+    // Daily alarm at PUNCH_IN_REMINDER_HOUR; whether to actually notify is decided when it fires.
+    const schedulePunchInReminder = async () => {
+        const next = new Date();
+        next.setHours(PUNCH_IN_REMINDER_HOUR, 0, 0, 0);
+        if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+
+        await chrome.alarms.create(ALARMS.punchInReminder, {
+            when: next.getTime(),
+            periodInMinutes: 24 * 60
+        });
+    };
+
+    const handleReminder = async (name) => {
+        const data = await store.get(['token', 'punchInTime', 'breakStartTime', 'history']);
+        if (!data.token) return;
+
+        const policy = await HR.policy.load();
+        if (name === ALARMS.punchInReminder) {
+            const day = new Date().getDay();
+            const isWorkingDay = day !== 0 && day !== 6;
+            if (!isWorkingDay || data.punchInTime || hasPunchedOutToday(data.history, policy)) return;
+        } else if (!data.punchInTime) {
+            return; // Shift already ended
+        } else if (name === ALARMS.breakDue && data.breakStartTime) {
+            return; // Already on a break
+        } else if (name === ALARMS.breakOver && !data.breakStartTime) {
+            return; // Break already ended
+        }
+
+        notify(name, REMINDERS[name], policy);
+    };
+
+    // The expiry prompt opens the popup, where "Sign in again" lives
+    chrome.notifications.onClicked.addListener((notificationId) => {
+        if (notificationId !== NOTIFICATIONS.sessionExpiring) return;
+        chrome.notifications.clear(notificationId);
+        chrome.action.openPopup().catch(() => chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') }));
+    });
+
+    chrome.notifications.onButtonClicked.addListener(withLanguage(async (notificationId, buttonIndex) => {
+        const item = REMINDERS[notificationId] || PROMPTS[notificationId];
+        const action = item && actionsOf(item)[buttonIndex];
+        if (!action) return;
+
+        chrome.notifications.clear(notificationId);
+        let result;
+        if (action === 'away-break') {
+            result = await recordAwayBreak();
+        } else if (action.startsWith('break-')) {
+            result = await toggleBreak({ expectedType: action === 'break-start' ? 'start' : 'end' });
+        } else {
+            result = await punch({ expectedType: action });
+        }
+        notify(NOTIFICATIONS.punchResult, {
+            title: result.ok ? t('attendanceUpdated') : t('actionFailed', t(ACTION_LABELS[action])),
+            message: result.message
+        });
+    }));
+
+    // --- Keyboard Shortcuts & Omnibox ---
+    // Both run the popup's punch flow (policy checks included) and answer with a notification.
+    const COMMANDS = {
+        'toggle-punch': 'toggle',
+        'show-status': 'status'
+    };
+
+    // Descriptions are _locales keys
+    const OMNIBOX_COMMANDS = {
+        in: 'omniboxPunchIn',
+        out: 'omniboxPunchOut',
+        status: 'commandShowStatus'
+    };
+
+    const notifyStatus = async () => {
+        const state = await getState();
+        let title;
+        let message;
+        if (!state.loggedIn) {
+            title = t('notifySignedOut');
+            message = t('notifySignInHint');
+        } else if (state.punchInTime) {
+            title = t('statusPunchedInSince', HR.i18n.formatTime(state.punchInTime));
+            message = t('statusWorkedOf', [
+                HR.i18n.formatDuration(workedMs(state)),
+                HR.i18n.formatMinutes(Math.round(state.policy.targetHours * 60))
+            ]);
+            if (state.breakStartTime) {
+                message += ` · ${t('statusOnBreakSince', HR.i18n.formatTime(state.breakStartTime))}`;
+            }
+        } else {
+            title = t('notifyPunchedOut');
+            message = hasPunchedOutToday(policyHistory(state), state.policy)
+                ? t('statusShiftComplete')
+                : t('statusNotPunchedInYet');
+        }
+
+        const pending = state.queue.filter(entry => entry.status === 'pending').length;
+        if (pending) message += ` ${pending === 1 ? t('statusPendingOne') : t('statusPendingMany', pending)}`;
+        notify(NOTIFICATIONS.status, { title, message });
+    };
+
+    // `action`: 'in', 'out', 'toggle' or 'status'
+    const runCommand = async (action) => {
+        if (action === 'status') {
+            await notifyStatus();
+            return;
+        }
+
+        const data = await store.get(['token', 'punchInTime']);
+        if (!data.token) {
+            notify(NOTIFICATIONS.punchResult, { title: t('notifyNotSignedIn'), message: t('notifySignInToPunch') });
+            return;
+        }
+
+        const type = action === 'toggle' ? (data.punchInTime ? 'out' : 'in') : action;
+        const result = await punch({ expectedType: type });
+        notify(NOTIFICATIONS.punchResult, {
+            title: result.ok ? t('attendanceUpdated') : t('actionFailed', t(ACTION_LABELS[type])),
+            message: result.message
+        });
+    };
+
+    chrome.commands.onCommand.addListener(withLanguage((command) => {
+        if (COMMANDS[command]) runCommand(COMMANDS[command]);
+    }));
+
+    // Suggestions are XML: translated text is escaped before it goes in
+    const escapeXml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+    chrome.omnibox.onInputStarted.addListener(withLanguage(() => {
+        chrome.omnibox.setDefaultSuggestion({ description: escapeXml(t('omniboxDefault')) });
+    }));
+
+    chrome.omnibox.onInputChanged.addListener(withLanguage((text, suggest) => {
+        const input = text.trim().toLowerCase();
+        suggest(Object.entries(OMNIBOX_COMMANDS)
+            .filter(([command]) => command.startsWith(input) && command !== input)
+            .map(([command, key]) => ({
+                content: command,
+                description: `<match>${command}</match> - ${escapeXml(t(key))}`
+            })));
+    }));
+
+    // "hr in", "hr punch out", "hr status"
+    chrome.omnibox.onInputEntered.addListener(withLanguage((text) => {
+        const command = text.trim().toLowerCase().replace(/^punch\s+/, '');
+        if (OMNIBOX_COMMANDS[command]) {
+            runCommand(command);
+        } else {
+            notify(NOTIFICATIONS.punchResult, { title: t('unknownCommand'), message: t('unknownCommandHint') });
+        }
+    }));
+
+    // --- Activity Prompts ---
+    // Opt-in (Settings > Punch Prompts) suggestions from browser activity. They only ever show a
+    // notification: nothing is punched until the user presses one of its buttons.
+    const DEFAULT_PROMPT_SETTINGS = { enabled: false, awayMinutes: 30 };
+    const SHIFT_END_WINDOW_MS = 60 * 60 * 1000; // "Near the end of the shift": within an hour of the target
+
+    const PROMPTS = {
+        [NOTIFICATIONS.punchInPrompt]: {
+            title: () => t('promptStartShiftTitle'),
+            message: () => t('promptStartShiftMessage'),
+            actions: ['in']
+        },
+        [NOTIFICATIONS.punchOutPrompt]: {
+            title: () => t('welcomeBack'),
+            message: ({ start, end }) => t('promptAwayNearEnd', [HR.i18n.formatTime(start), HR.i18n.formatTime(end)]),
+            actions: ['out', 'away-break']
+        },
+        [NOTIFICATIONS.awayPrompt]: {
+            title: () => t('welcomeBack'),
+            message: ({ start, end }) => t('promptAwayBreak', HR.i18n.formatDuration(end - start)),
+            actions: ['away-break']
+        }
+    };
+
+    // Device-wide, not per portal profile
+    const loadPromptSettings = async () => {
+        const data = await store.get('promptSettings');
+        return { ...DEFAULT_PROMPT_SETTINGS, ...data.promptSettings };
+    };
+
+    const savePromptSettings = async ({ settings }) => {
+        const awayMinutes = Number(settings?.awayMinutes);
+        if (!Number.isInteger(awayMinutes) || awayMinutes < 5 || awayMinutes > 240) {
+            return { ok: false, ...say('awayMinutesRange'), settings: await loadPromptSettings() };
+        }
+
+        const promptSettings = { enabled: !!settings.enabled, awayMinutes };
+        await store.set({ promptSettings });
+        await store.remove('awaySince');
+        chrome.idle.setDetectionInterval(awayMinutes * 60);
+        return {
+            ok: true,
+            ...say(promptSettings.enabled ? 'promptsOn' : 'promptsOff'),
+            settings: promptSettings
+        };
+    };
+
+    // Punched in, done for the day, or any punch already recorded on attendance day `today`
+    const dayStarted = (state, today) => {
+        const history = policyHistory(state);
+        return !!state.punchInTime || hasPunchedOutToday(history, state.policy) ||
+            history.some(item => HR.attendance.dayKey(HR.attendance.toTimestamp(item.timestamp), state.policy) === today);
+    };
+
+    // First activity of an attendance (working) day, before any punch: suggest Punch In, once a day.
+    const suggestPunchIn = async () => {
+        const policy = await HR.policy.load();
+        const today = HR.attendance.dayKey(await serverNow(), policy);
+        const data = await store.get(['token', 'lastPunchInPrompt']);
+        const day = new Date().getDay();
+        if (!data.token || data.lastPunchInPrompt === today || day === 0 || day === 6) return;
+        if (dayStarted(await getState(), today)) return;
+
+        // Punched in elsewhere (portal, another browser)? Ask the portal before suggesting anything.
+        await syncWithServer();
+        const state = await getState();
+        if (!state.loggedIn || dayStarted(state, today)) return;
+
+        await store.set({ lastPunchInPrompt: today });
+        notify(NOTIFICATIONS.punchInPrompt, PROMPTS[NOTIFICATIONS.punchInPrompt]);
+    };
+
+    // Back from a long idle / locked period during a shift: suggest Punch Out near the end of the
+    // shift, otherwise counting the absence as a break.
+    const suggestAwayAction = async (awaySince) => {
+        const state = await getState();
+        if (!state.loggedIn || !state.punchInTime || state.breakStartTime) return;
+
+        // Kept (in server time) for the "Count as break" button
+        const awayPeriod = {
+            start: Math.max(awaySince + state.clockOffset, state.punchInTime),
+            end: Date.now() + state.clockOffset
+        };
+        if (awayPeriod.end <= awayPeriod.start) return;
+        await store.set({ awayPeriod });
+
+        const nearEnd = workedMs(state) >= HR.policy.targetMs(state.policy) - SHIFT_END_WINDOW_MS;
+        const id = nearEnd ? NOTIFICATIONS.punchOutPrompt : NOTIFICATIONS.awayPrompt;
+        notify(id, PROMPTS[id], awayPeriod);
+    };
+
+    // Confirmed from a "Welcome back" prompt: the absence becomes a break after the fact.
+    const recordAwayBreak = async () => {
+        const data = await store.get(['token', 'punchInTime', 'breakStartTime', 'awayPeriod', 'user']);
+        if (!data.token) return { ok: false, ...say('sessionExpired') };
+        if (!data.awayPeriod || !data.punchInTime || data.breakStartTime) {
+            return { ok: false, ...say('shiftChangedSinceAway') };
+        }
+
+        const { start, end } = data.awayPeriod;
+        await recordBreak('break-start', Math.max(start, data.punchInTime), data.user);
+        await recordBreak('break-end', end, data.user);
+        await store.remove('awayPeriod');
+        await scheduleShiftReminders(data.punchInTime, await HR.policy.load());
+        return {
+            ok: true,
+            ...say('awayBreakRecorded', HR.i18n.formatDuration(end - Math.max(start, data.punchInTime))),
+            state: await broadcastState()
+        };
+    };
+
+    // "idle" fires once the detection interval (the away time) passed without input, "locked" at once.
+    // The start of the absence is stored: the worker may be stopped while the user is away.
+    chrome.idle.onStateChanged.addListener(withLanguage(async (idleState) => {
+        const settings = await loadPromptSettings();
+        if (!settings.enabled) return;
+
+        const data = await store.get('awaySince');
+        if (idleState !== 'active') {
+            if (!data.awaySince) {
+                const awaySince = Date.now() - (idleState === 'idle' ? settings.awayMinutes * 60000 : 0);
+                await store.set({ awaySince });
+            }
+            return;
+        }
+
+        await store.remove('awaySince');
+        const awayMs = data.awaySince ? Date.now() - data.awaySince : 0;
+        const punched = await store.get('punchInTime');
+        if (!punched.punchInTime) {
+            await suggestPunchIn();
+        } else if (awayMs >= settings.awayMinutes * 60000) {
+            await suggestAwayAction(data.awaySince);
+        }
+    }));
+
+    // --- Toolbar Badge ---
+    // Worked time of the running shift, net of breaks like the popup timer
+    const workedMs = (state) => {
+        const now = Date.now() + state.clockOffset;
+        const breaks = HR.attendance.withLocalBreaks(state.history, state.breaks);
+        return Math.max(0, now - state.punchInTime - HR.attendance.breakMs(breaks, state.punchInTime, now));
+    };
+
+    // Elapsed time as "H:MM" while punched in; blank when punched out or signed out.
+    const updateBadge = async (state) => {
+        if (!state.loggedIn || !state.punchInTime) {
+            await chrome.alarms.clear(ALARMS.badgeTick);
+            await chrome.action.setBadgeText({ text: '' });
+            await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.idle });
+            await chrome.action.setTitle({ title: t(state.loggedIn ? 'notifyPunchedOut' : 'notifySignedOut') });
+            return;
+        }
+
+        const elapsed = workedMs(state);
+        const hours = Math.floor(elapsed / 3600000);
+        const minutes = String(Math.floor((elapsed % 3600000) / 60000)).padStart(2, '0');
+        const overtime = elapsed >= HR.policy.targetMs(state.policy);
+
+        await chrome.action.setBadgeText({ text: `${hours}:${minutes}` });
+        await chrome.action.setBadgeBackgroundColor({ color: overtime ? BADGE_COLORS.overtime : BADGE_COLORS.running });
+        await chrome.action.setTitle({
+            title: t(overtime ? 'badgePunchedInForTarget' : 'badgePunchedInFor', HR.i18n.formatDuration(elapsed))
+        });
+
+        // Keep the badge ticking while the popup is closed
+        const tick = await chrome.alarms.get(ALARMS.badgeTick);
+        if (!tick) await chrome.alarms.create(ALARMS.badgeTick, { periodInMinutes: 1 });
+    };
+
+    // --- Policy Settings ---
+    const getPolicySettings = async () => {
+        const data = await store.get(['policy', 'serverPolicy']);
+        return {
+            policy: HR.policy.resolve(data.policy, data.serverPolicy),
+            local: HR.policy.normalize(data.policy),
+            managed: Object.keys(HR.policy.normalize(data.serverPolicy))
+        };
+    };
+
+    const savePolicy = async ({ policy }) => {
+        await store.set({ policy: HR.policy.normalize(policy) });
+
+        // Re-time reminders for a running shift against the new rules
+        const state = await getState();
+        if (state.punchInTime) await scheduleShiftReminders(state.punchInTime, state.policy);
+        await broadcastState();
+        return { ok: true, ...say('policySaved'), ...(await getPolicySettings()) };
+    };
+
+    // --- Portal Profiles ---
+    const getProfiles = async () => ({
+        profiles: await HR.profiles.list(),
+        activeId: (await HR.profiles.getActive()).id
+    });
+
+    // A portal answers `/health`, or `/me` with 200/401 JSON (see HR.api.probe).
+    const validatePortal = async (baseUrl) => {
+        const result = await HR.api.probe(baseUrl);
+        if (result.ok) return result;
+        log.error('Portal validation failed', { baseUrl, error: result.error, status: result.errorArgs });
+        return { ok: false, ...say(result.error, result.errorArgs) };
+    };
+
+    // The options page grants the host permission first (it needs the user's click), then calls this.
+    const addProfile = async ({ name, baseUrl }) => {
+        const normalized = HR.profiles.normalizeBaseUrl(baseUrl);
+        if (!name?.trim() || !normalized) {
+            return { ok: false, ...say('profileInvalid') };
+        }
+
+        const profiles = await HR.profiles.list();
+        if (profiles.some(profile => profile.baseUrl === normalized)) {
+            return { ok: false, ...say('profileExists') };
+        }
+
+        const validation = await validatePortal(normalized);
+        if (!validation.ok) return validation;
+
+        const profile = { id: `p${Date.now().toString(36)}`, name: name.trim(), baseUrl: normalized };
+        const data = await store.get('profiles');
+        await store.set({ profiles: [...data.profiles, profile] });
+        await registerPortalScripts();
+        return { ok: true, ...say('profileAdded', profile.name), ...(await getProfiles()) };
+    };
+
+    const switchProfile = async ({ id }) => {
+        const profiles = await HR.profiles.list();
+        const profile = profiles.find(item => item.id === id);
+        if (!profile) {
+            return { ok: false, ...say('profileUnknown') };
+        }
+        // Profiles synced from another computer need this one's permission too (granted from Settings)
+        if (!await chrome.permissions.contains({ origins: [HR.profiles.originPattern(profile.baseUrl)] })) {
+            return { ok: false, ...say('profileAccessFirst', profile.name) };
+        }
+
+        // Alarms belong to the outgoing profile's session; the incoming one schedules its own
+        await chrome.alarms.clearAll();
+        await store.set({ activeProfile: id });
+        await resumeSession();
+        const state = await broadcastState();
+        if (state.loggedIn) syncWithServer();
+        return { ok: true, ...say('profileSwitched'), state, ...(await getProfiles()) };
+    };
+
+    const removeProfile = async ({ id }) => {
+        if (id === HR.profiles.DEFAULT_PROFILE.id) {
+            return { ok: false, ...say('profileDefaultFixed') };
+        }
+
+        const profiles = await HR.profiles.list();
+        const profile = profiles.find(item => item.id === id);
+        if (!profile) return { ok: false, ...say('profileUnknown') };
+
+        if ((await HR.profiles.getActive()).id === id) {
+            await switchProfile({ id: HR.profiles.DEFAULT_PROFILE.id });
+        }
+
+        // Drop the profile's namespaced state and, unless another profile shares it, its host permission
+        await store.removeProfileData(id);
+        const data = await store.get('profiles');
+        const remaining = data.profiles.filter(item => item.id !== id);
+        await store.set({ profiles: remaining });
+
+        const origin = HR.profiles.originPattern(profile.baseUrl);
+        const stillUsed = [HR.profiles.DEFAULT_PROFILE, ...remaining]
+            .some(item => HR.profiles.originPattern(item.baseUrl) === origin);
+        if (!stillUsed) await chrome.permissions.remove({ origins: [origin] });
+        await registerPortalScripts();
+
+        return { ok: true, ...say('profileRemoved', profile.name), ...(await getProfiles()) };
+    };
+
+    // --- Portal Pages ---
+    // content.js on the portal's own web pages: "Connect extension" with the portal sign-in, a punch widget on
+    // the attendance page, and a status check when the user punches from the portal UI. Pages only ever get
+    // the small view below, never tokens, history or team data; content.js has no storage access of its own.
+
+    // The built-in portal's pages get content.js from the manifest; other profiles' origins are registered
+    // here once their host permission is granted.
+    const registerPortalScripts = async () => {
+        try {
+            const builtIn = HR.profiles.originPattern(HR.profiles.DEFAULT_PROFILE.baseUrl);
+            const origins = [...new Set((await HR.profiles.list()).map(profile => HR.profiles.originPattern(profile.baseUrl)))]
+                .filter(origin => origin !== builtIn);
+            const granted = [];
+            for (const origin of origins) {
+                if (await chrome.permissions.contains({ origins: [origin] })) granted.push(origin);
+            }
+
+            const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PORTAL_SCRIPT_ID] });
+            if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: [PORTAL_SCRIPT_ID] });
+            if (!granted.length) return;
+            await chrome.scripting.registerContentScripts([
+                { id: PORTAL_SCRIPT_ID, matches: granted, js: PORTAL_SCRIPT_FILES, runAt: 'document_idle' }
+            ]);
+        } catch (e) {
+            log.error('Portal page scripts not registered', e);
+        }
+    };
+
+    // Profile whose portal the sending page belongs to (the active one first when several share an origin)
+    const portalProfile = async (sender) => {
+        let origin;
+        try {
+            origin = sender.origin || new URL(sender.url).origin;
+        } catch (e) {
+            return null;
+        }
+        const activeId = (await HR.profiles.getActive()).id;
+        const matching = (await HR.profiles.list()).filter(profile => new URL(profile.baseUrl).origin === origin);
+        return matching.find(profile => profile.id === activeId) || matching[0] || null;
+    };
+
+    const portalView = async (profile) => {
+        const state = await getState();
+        const connected = state.loggedIn && state.profile.id === profile.id;
+        const view = { ok: true, profile: { id: profile.id, name: profile.name, baseUrl: profile.baseUrl }, connected };
+        if (!connected) return view;
+
+        const breaks = HR.attendance.withLocalBreaks(state.history.filter(HR.attendance.isBreak), state.breaks);
+        return {
+            ...view,
+            userName: state.user?.name || '',
+            punchInTime: state.punchInTime,
+            breakStartTime: state.breakStartTime,
+            clockOffset: state.clockOffset,
+            // The running shift's breaks, for net worked time
+            breaks: state.punchInTime
+                ? breaks.filter(entry => HR.attendance.toTimestamp(entry.timestamp) >= state.punchInTime)
+                : []
+        };
+    };
+
+    // The view plus what the page needs to draw it: theme, Debug mode and the language with its messages
+    const portalPage = async (sender) => {
+        const profile = await portalProfile(sender);
+        if (!profile) return { ok: false, ...say('notPortalPage') };
+
+        const data = await store.get(['theme', 'debugMode']);
+        await languageReady;
+        return {
+            ...(await portalView(profile)),
+            theme: data.theme,
+            debugMode: !!data.debugMode,
+            display: HR.i18n.settings()
+        };
+    };
+
+    // Tell open portal pages to ask for their view again
+    let portalNotifyTimer = null;
+    const notifyPortalPages = () => {
+        clearTimeout(portalNotifyTimer);
+        portalNotifyTimer = setTimeout(async () => {
+            const origins = [...new Set((await HR.profiles.list()).map(profile => HR.profiles.originPattern(profile.baseUrl)))];
+            try {
+                const tabs = await chrome.tabs.query({ url: origins });
+                tabs.forEach(tab => chrome.tabs.sendMessage(tab.id, { type: 'portal-changed' }).catch(() => {}));
+            } catch (e) {
+                log.warn('Portal pages not notified', e);
+            }
+        }, 300);
+    };
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        if (Object.keys(changes).some(stored => PORTAL_PAGE_KEYS.has(HR.profiles.parseKey(stored).key))) {
+            notifyPortalPages();
+        }
+    });
+
+    // `session` comes from the portal's /session/token, fetched by the page with its cookies (see
+    // HR.api portalSession). It replaces any session the profile had; another profile in use is switched out.
+    const connectPortal = async ({ session }, sender) => {
+        const profile = await portalProfile(sender);
+        if (!profile) return { ok: false, ...say('notPortalPage') };
+        if (typeof session?.token !== 'string' || !session.token) {
+            return { ok: false, ...say('portalNoSession') };
+        }
+
+        if ((await HR.profiles.getActive()).id !== profile.id) {
+            const switched = await switchProfile({ id: profile.id });
+            if (!switched.ok) return switched;
+        }
+
+        await storeTokens({
+            token: session.token,
+            refreshToken: session.refreshToken || null,
+            expiresAt: Number(session.expiresAt) || null
+        });
+        let user = session.user?.email ? session.user : null;
+        if (!user) {
+            try {
+                user = await api.me();
+            } catch (e) {
+                log.error('Portal connect: profile unavailable', e);
+                await store.remove(['token', 'tokenExpiresAt', 'refreshToken']);
+                return { ok: false, ...say('portalProfileUnavailable') };
+            }
+        }
+
+        await beginSession(user);
+        log.info('Connected from a portal page', { profile: profile.id });
+        return { ...(await portalView(profile)), ...say('portalConnected') };
+    };
+
+    // The widget's Punch In / Out; `expectedType` guards a widget showing a stale state
+    const portalPunch = async ({ expectedType }, sender) => {
+        const profile = await portalProfile(sender);
+        if (!profile || profile.id !== (await HR.profiles.getActive()).id) {
+            return { ok: false, ...say('connectFirst') };
+        }
+        const result = await punch({ expectedType });
+        return { ...(await portalView(profile)), ok: result.ok, ...entryMessage(result) };
+    };
+
+    // The user clicked one of the portal's own punch controls (or its attendance page loaded): check the
+    // portal's status shortly, instead of waiting for the next poll.
+    let portalSyncTimer = null;
+    const portalActivity = async (sender) => {
+        const profile = await portalProfile(sender);
+        if (!profile || profile.id !== (await HR.profiles.getActive()).id) return { ok: true };
+
+        clearTimeout(portalSyncTimer);
+        portalSyncTimer = setTimeout(() => pollStatus(), PORTAL_SYNC_DELAY_MS);
+        return { ok: true };
+    };
+
+    // --- Settings Sync ---
+    // Opt-in mirror of device-independent settings in chrome.storage.sync, so they follow the user's Chrome
+    // sign-in to other computers. Sessions, tokens and punch state never leave this device.
+    const SYNCED_SETTINGS = ['theme', 'policy', 'profiles', 'displayPreferences', 'promptSettings', 'locationSettings'];
+
+    const isSettingsSyncOn = async () => !!(await store.get('settingsSync')).settingsSync;
+
+    const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // Synced values pass the same schema checks as local writes (null removes); one that fails is skipped
+    // rather than stored. Resolves the keys written.
+    const storeSyncedSettings = async (items) => {
+        const written = [];
+        for (const [key, value] of Object.entries(items)) {
+            try {
+                await store.set({ [key]: value });
+                written.push(key);
+            } catch (e) {
+                log.warn(`Synced setting "${key}" ignored`, e);
+            }
+        }
+        return written;
+    };
+
+    const setSettingsSync = async ({ enabled }) => {
+        await store.set({ settingsSync: !!enabled });
+        if (!enabled) return { ok: true, enabled: false, ...say('settingsSyncOff') };
+
+        // Settings already synced from another computer win; this device fills in the rest
+        const remote = await chrome.storage.sync.get(SYNCED_SETTINGS);
+        const local = await chrome.storage.local.get(SYNCED_SETTINGS); // As stored, without read fallbacks
+        const missing = Object.fromEntries(Object.entries(local).filter(([key]) => !(key in remote)));
+        await chrome.storage.sync.set(missing);
+        await applySyncedSettings(await storeSyncedSettings(remote));
+        return { ok: true, enabled: true, ...say('settingsSyncOn') };
+    };
+
+    // Settings written by another computer take effect here as if saved on this one
+    const applySyncedSettings = async (keys) => {
+        if (keys.includes('promptSettings')) {
+            chrome.idle.setDetectionInterval((await loadPromptSettings()).awayMinutes * 60);
+        }
+        if (keys.includes('policy')) {
+            const state = await getState();
+            if (state.punchInTime) await scheduleShiftReminders(state.punchInTime, state.policy);
+            await broadcastState();
+        }
+    };
+
+    // Copy changes across in both directions; a write that matches the other side is our own echo.
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+        const keys = Object.keys(changes).filter(key => SYNCED_SETTINGS.includes(key));
+        if (!keys.length || (area !== 'local' && area !== 'sync') || !await isSettingsSyncOn()) return;
+
+        const target = area === 'local' ? chrome.storage.sync : chrome.storage.local;
+        const current = await target.get(keys); // As stored, without read fallbacks
+        const changed = keys.filter(key => !sameValue(current[key], changes[key].newValue));
+        if (!changed.length) return;
+
+        if (area === 'sync') {
+            const items = Object.fromEntries(changed.map(key => [key, changes[key].newValue ?? null]));
+            await applySyncedSettings(await storeSyncedSettings(items));
+            return;
+        }
+
+        const updates = Object.fromEntries(changed
+            .filter(key => changes[key].newValue !== undefined)
+            .map(key => [key, changes[key].newValue]));
+        const removals = changed.filter(key => changes[key].newValue === undefined);
+        try {
+            if (Object.keys(updates).length) await target.set(updates);
+            if (removals.length) await target.remove(removals);
+        } catch (e) {
+            log.error('Settings sync failed', e); // Usually the chrome.storage.sync quota
+        }
+    });
+
+    // --- Diagnostics ---
+    // Debug mode and the event ring buffer (lib/log.js); the buffer outlives worker restarts.
+    log.init({ persistBuffer: true });
+
+    // The parts of the state worth a line in the log whenever they change
+    let lastSummary = '';
+    const stateSummary = (state) => ({
+        profile: state.profile?.id || null,
+        loggedIn: state.loggedIn,
+        punchedIn: !!state.punchInTime,
+        onBreak: !!state.breakStartTime,
+        sessionExpiring: state.sessionExpiring,
+        pendingPunches: state.queue.filter(entry => entry.status === 'pending').length,
+        rejectedPunches: state.queue.filter(entry => entry.status === 'rejected').length,
+        conflict: state.punchConflict?.kind || null,
+        hasTeam: state.hasTeam
+    });
+
+    const logTransition = (state) => {
+        const summary = stateSummary(state);
+        const key = JSON.stringify(summary);
+        if (key === lastSummary) return;
+        lastSummary = key;
+        log.info('State changed', summary);
+    };
+
+    // Sanitized bundle for the IT helpdesk: versions, settings, attendance state and recent events.
+    // No credentials, and no names or emails.
+    const diagnostics = async () => {
+        const state = await getState();
+        const settings = await store.get(['promptSettings', 'displayPreferences', 'debugMode', 'settingsSync', 'schemaVersion']);
+        const location = await HR.location.load();
+        return {
+            ok: true,
+            diagnostics: log.redact({
+                generatedAt: new Date().toISOString(),
+                extension: { version: chrome.runtime.getManifest().version },
+                browser: {
+                    userAgent: navigator.userAgent,
+                    language: navigator.language,
+                    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                    online: navigator.onLine
+                },
+                portal: { name: state.profile.name, baseUrl: state.profile.baseUrl },
+                state: {
+                    ...stateSummary(state),
+                    sessionExpiresAt: state.sessionExpiresAt,
+                    punchInTime: state.punchInTime,
+                    workLocation: state.workLocation,
+                    breakStartTime: state.breakStartTime,
+                    clockOffset: state.clockOffset,
+                    punchConflict: state.punchConflict,
+                    historyEntries: state.history.length,
+                    requestsAvailable: state.requestsAvailable,
+                    queue: state.queue.map(({ type, timestamp, status, attempts, message }) =>
+                        ({ type, timestamp, status, attempts, message }))
+                },
+                policy: state.policy,
+                // Counts only: office addresses and coordinates stay out of tickets
+                settings: {
+                    ...settings,
+                    workLocation: {
+                        officeNetworks: location.officeNetworks.length,
+                        offices: location.offices.length,
+                        geolocation: location.geolocation
+                    }
+                },
+                events: log.entries()
+            })
+        };
+    };
+
+    // --- Reset ---
+    // "Reset extension data" (Settings): signs out of the active portal, forgets every profile with its
+    // session, punches and queue, and every setting. Access granted to added portals is given back.
+    const resetData = async () => {
+        const { token } = await store.get('token');
+        if (token) {
+            try {
+                await api.logout(token);
+            } catch (e) {
+                log.error('Logout API failure', e);
+            }
+        }
+
+        const origins = (await HR.profiles.list())
+            .filter(profile => profile.id !== HR.profiles.DEFAULT_PROFILE.id)
+            .map(profile => HR.profiles.originPattern(profile.baseUrl));
+        const builtIn = HR.profiles.originPattern(HR.profiles.DEFAULT_PROFILE.baseUrl);
+        const added = [...new Set(origins)].filter(origin => origin !== builtIn);
+
+        await chrome.alarms.clearAll();
+        await store.reset();
+        if (added.length) await chrome.permissions.remove({ origins: added });
+        await registerPortalScripts();
+        chrome.idle.setDetectionInterval((await loadPromptSettings()).awayMinutes * 60);
+
+        log.warn('Extension data reset');
+        return { ok: true, ...say('dataReset'), state: await broadcastState() };
+    };
+
+    // --- Runtime Messaging ---
+    const handlers = {
+        'get-state': () => getState(),
+        'sync': () => syncWithServer(),
+        'login': (message) => login(message),
+        'restore-login': () => restoreRememberedLogin(),
+        'reauthenticate': () => reauthenticate(),
+        'logout': () => logout(),
+        'punch': (message) => punch(message),
+        'break': (message) => toggleBreak(message),
+        'resolve-conflict': (message) => resolveConflict(message),
+        'dismiss-queued': (message) => dismissQueueEntry(message),
+        'submit-request': (message) => submitRequest(message),
+        'get-team': (message) => getTeam(message),
+        'suggest-work-location': () => suggestWorkLocation(),
+        'get-location-settings': async () => ({ ok: true, settings: await HR.location.load() }),
+        'save-location-settings': (message) => saveLocationSettings(message),
+        'get-prompt-settings': async () => ({ ok: true, settings: await loadPromptSettings() }),
+        'save-prompt-settings': (message) => savePromptSettings(message),
+        'get-history': (message) => fetchHistoryPage(message),
+        'get-policy': () => getPolicySettings(),
+        'get-profiles': () => getProfiles(),
+        'add-profile': (message) => addProfile(message),
+        'switch-profile': (message) => switchProfile(message),
+        'remove-profile': (message) => removeProfile(message),
+        'save-policy': (message) => savePolicy(message),
+        'get-diagnostics': () => diagnostics(),
+        'get-settings-sync': async () => ({ ok: true, enabled: await isSettingsSyncOn() }),
+        'set-settings-sync': (message) => setSettingsSync(message),
+        'reset-data': () => resetData()
+    };
+
+    // Portal pages (content.js) reach only these; everything above is for the extension's own pages
+    const portalHandlers = {
+        'portal-page': (message, sender) => portalPage(sender),
+        'connect-portal': (message, sender) => connectPortal(message, sender),
+        'portal-punch': (message, sender) => portalPunch(message, sender),
+        'portal-activity': (message, sender) => portalActivity(sender)
+    };
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        const fromPortalPage = !sender.url?.startsWith(chrome.runtime.getURL(''));
+        const handler = (fromPortalPage ? portalHandlers : handlers)[message?.type];
+        if (!handler) return false;
+
+        languageReady
+            .then(() => handler(message, sender))
+            .then(sendResponse)
+            .catch((e) => {
+                log.error(`Message handler "${message.type}" failed`, e);
+                sendResponse({ ok: false, message: e.message });
+            });
+        return true; // Keep the channel open for the async response
+    });
+
+    // --- Alarms ---
+    chrome.alarms.onAlarm.addListener(withLanguage((alarm) => {
+        if (alarm.name === ALARMS.statusSync) {
+            syncWithServer();
+        } else if (alarm.name === ALARMS.statusPoll) {
+            pollStatus();
+        } else if (alarm.name === ALARMS.badgeTick) {
+            getState().then(updateBadge);
+        } else if (alarm.name === ALARMS.queueRetry) {
+            replayQueue();
+        } else if (alarm.name === ALARMS.sessionCheck) {
+            checkSession();
+        } else if (REMINDERS[alarm.name]) {
+            handleReminder(alarm.name);
+        }
+    }));
+
+    // --- Lifecycle ---
+    const resumeSession = async () => {
+        const data = await store.get('token');
+        if (data.token) await startSession();
+        await updateBadge(await getState());
+    };
+
+    chrome.runtime.onStartup.addListener(withLanguage(async () => {
+        await resumeSession();
+
+        // Opening the browser is often the first activity of the day
+        const settings = await loadPromptSettings();
+        chrome.idle.setDetectionInterval(settings.awayMinutes * 60);
+        if (settings.enabled) await suggestPunchIn();
+    }));
+    chrome.runtime.onInstalled.addListener(async (details) => {
+        // Stored data from an older version is brought up to the current schema before anything reads it
+        await store.migrate(details);
+        await registerPortalScripts();
+        await languageReady;
+        await resumeSession();
+        chrome.idle.setDetectionInterval((await loadPromptSettings()).awayMinutes * 60);
+    });
+
+    // Access to a profile's portal granted or withdrawn (Settings): its pages gain or lose content.js
+    chrome.permissions.onAdded.addListener(() => registerPortalScripts());
+    chrome.permissions.onRemoved.addListener(() => registerPortalScripts());
+
+    // Connectivity is back: replay punches recorded while offline
+    self.addEventListener('online', withLanguage(() => replayQueue()));
+})(self.HR);
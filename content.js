@@ -0,0 +1,311 @@
+// Enterprise HR Portal - Portal Page Integration
+// Content script on the portal's own web pages: "Connect extension" with the portal sign-in, a punch widget
+// with a live timer on the attendance page, and a status check when the user punches from the portal UI.
+// Everything it shows (theme and language included) comes from the worker; it never reads extension storage.
+(function (HR) {
+    'use strict';
+
+    // --- Configuration & State ---
+    const t = HR.i18n.t;
+    const ATTENDANCE_PATH = /\/attendance(\/|$)/i;
+    // The portal's own punch controls: labelled "Punch In", "Clock out", ... or marked with data-hr-punch
+    const PUNCH_CONTROL = /\b(punch|clock)[\s_-]*(in|out)\b/i;
+    const PUNCH_CONTROL_SELECTOR = 'button, a, input[type="submit"], input[type="button"], [role="button"], [data-hr-punch]';
+    const DISMISS_KEY = 'hr-extension-connect-dismissed'; // sessionStorage: no Connect prompt for the rest of the tab
+    const CONNECTED_NOTICE_MS = 4000;
+
+    const view = {
+        data: null,          // Background's portal view (see portalPage in background.js)
+        theme: 'dark',
+        path: location.pathname,
+        busy: false,
+        message: '',
+        justConnected: false // Keep the card up a moment after connecting from a non-attendance page
+    };
+    let host = null; // Widget host; a closed shadow root keeps the portal's styles and scripts out
+    let card = null;
+    let refreshTimer = null;
+
+    const STYLES = `
+        :host { all: initial; }
+        .card {
+            --bg: #0f172a; --fg: #f8fafc; --muted: #94a3b8; --border: rgba(148, 163, 184, 0.25);
+            --accent: #6366f1; --danger: #ef4444; --success: #10b981;
+            position: fixed; inset-block-end: 16px; inset-inline-end: 16px; z-index: 2147483647;
+            width: 240px; padding: 12px 14px; border-radius: 12px; border: 1px solid var(--border);
+            background: var(--bg); color: var(--fg); box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+            font: 13px/1.4 system-ui, -apple-system, 'Segoe UI', sans-serif;
+        }
+        .card[data-theme="light"] { --bg: #ffffff; --fg: #0f172a; --muted: #64748b; --border: rgba(15, 23, 42, 0.12); }
+        header { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 8px; }
+        .title { font-weight: 600; font-size: 12px; color: var(--muted); }
+        .status { display: flex; align-items: center; gap: 6px; }
+        .dot { width: 8px; height: 8px; border-radius: 50%; background: var(--muted); flex-shrink: 0; }
+        .dot.on { background: var(--success); }
+        .timer { font-size: 24px; font-weight: 700; font-variant-numeric: tabular-nums; margin: 6px 0 10px; }
+        p { margin: 0 0 10px; }
+        button { font: inherit; cursor: pointer; }
+        button:focus-visible { outline: 2px solid var(--accent); outline-offset: 2px; }
+        button:disabled { opacity: 0.6; cursor: progress; }
+        .primary { width: 100%; padding: 8px; border: 0; border-radius: 8px; background: var(--accent); color: #fff; font-weight: 600; }
+        .primary.out { background: var(--danger); }
+        .icon { border: 0; background: none; color: var(--muted); font-size: 16px; line-height: 1; padding: 2px 4px; }
+        .message { margin: 8px 0 0; color: var(--muted); font-size: 12px; }
+        .message:empty { display: none; }
+    `;
+
+    // --- Initialization ---
+    const init = async () => {
+        const data = await sendMessage('portal-page');
+        if (!data.ok) return; // Not one of the extension's portals
+        await apply(data);
+
+        chrome.runtime.onMessage.addListener(handleWorkerMessage);
+        document.addEventListener('click', handlePageClick, true);
+        document.addEventListener('submit', handlePageSubmit, true);
+        setInterval(tick, 1000);
+        render();
+
+        // Portals that reload the page after a punch land here: have the extension check right away
+        if (view.data.connected && isAttendancePage()) sendMessage('portal-activity');
+    };
+
+    const isAttendancePage = () => ATTENDANCE_PATH.test(location.pathname);
+
+    // --- Worker Updates ---
+    // Punches, sign-in and sign-out from the popup (or anywhere else), and theme or language changes: the
+    // worker says so and the page asks for its view again.
+    const apply = async (data) => {
+        view.data = data;
+        view.theme = data.theme;
+        await HR.log.init({ debugMode: data.debugMode });
+        await HR.i18n.load(data.display);
+    };
+
+    const handleWorkerMessage = (message) => {
+        if (message?.type !== 'portal-changed') return;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refresh, 300);
+    };
+
+    const refresh = async () => {
+        const data = await sendMessage('portal-page');
+        if (data.ok) await apply(data);
+        render();
+    };
+
+    // --- Portal Punch Controls ---
+    // A punch made in the portal's own UI: the extension checks the portal's status shortly after.
+    const handlePageClick = (event) => {
+        if (!view.data.connected || event.composedPath().includes(host)) return;
+        const control = event.target.closest?.(PUNCH_CONTROL_SELECTOR);
+        if (!control) return;
+
+        const label = [control.textContent, control.value, control.getAttribute('aria-label'), control.dataset.action].join(' ');
+        if (control.hasAttribute('data-hr-punch') || PUNCH_CONTROL.test(label)) sendMessage('portal-activity');
+    };
+
+    const handlePageSubmit = (event) => {
+        if (view.data.connected && /punch|clock/i.test(event.target.getAttribute('action') || '')) {
+            sendMessage('portal-activity');
+        }
+    };
+
+    // --- Actions ---
+    // The portal's session cookie only goes along with requests from its own pages, so the exchange runs here
+    // and only the resulting tokens go to the background.
+    const connect = async () => {
+        view.busy = true;
+        view.message = '';
+        render();
+
+        const client = HR.api.createClient({
+            baseUrl: view.data.profile.baseUrl,
+            fetchImpl: (url, init) => fetch(url, { ...init, credentials: 'include' })
+        });
+        let session = null;
+        try {
+            session = await client.portalSession();
+            if (!session) view.message = t('portalConnectUnsupported');
+        } catch (e) {
+            HR.log.warn('Portal session exchange failed', e);
+            view.message = e instanceof HR.api.AuthError ? t('portalSignInFirst') : t('portalConnectFailed');
+        }
+
+        if (session) {
+            const result = await sendMessage('connect-portal', { session });
+            if (result.ok) {
+                view.data = result;
+                view.message = t('portalConnected');
+                view.justConnected = true;
+                setTimeout(() => {
+                    view.justConnected = false;
+                    view.message = '';
+                    render();
+                }, CONNECTED_NOTICE_MS);
+            } else {
+                view.message = HR.i18n.messageOf(result) || t('portalConnectFailed');
+            }
+        }
+
+        view.busy = false;
+        render();
+    };
+
+    const punch = async () => {
+        view.busy = true;
+        view.message = '';
+        render();
+
+        const result = await sendMessage('portal-punch', { expectedType: view.data.punchInTime ? 'out' : 'in' });
+        if (result.profile) view.data = result;
+        view.message = HR.i18n.messageOf(result);
+        view.busy = false;
+        render();
+    };
+
+    const dismiss = () => {
+        sessionStorage.setItem(DISMISS_KEY, '1');
+        render();
+    };
+
+    const handleWidgetClick = (event) => {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (view.busy || !action) return;
+        if (action === 'connect') connect();
+        else if (action === 'punch') punch();
+        else if (action === 'dismiss') dismiss();
+    };
+
+    // --- Rendering ---
+    // Connect prompt on any portal page until connected (or dismissed); punch widget on the attendance page.
+    const mode = () => {
+        if (!view.data?.ok) return null;
+        if (view.data.connected) return isAttendancePage() || view.justConnected ? 'widget' : null;
+        return sessionStorage.getItem(DISMISS_KEY) ? null : 'connect';
+    };
+
+    const mount = () => {
+        if (host) return;
+        host = document.createElement('div');
+        const root = host.attachShadow({ mode: 'closed' });
+        root.innerHTML = `<style>${STYLES}</style><section class="card" role="region"></section>`;
+        card = root.querySelector('.card');
+        card.addEventListener('click', handleWidgetClick);
+        document.body.appendChild(host);
+    };
+
+    const unmount = () => {
+        host?.remove();
+        host = null;
+        card = null;
+    };
+
+    const render = () => {
+        const current = mode();
+        if (!current) {
+            unmount();
+            return;
+        }
+        mount();
+
+        card.dataset.theme = view.theme;
+        card.dir = HR.i18n.isRtl() ? 'rtl' : 'ltr';
+        card.lang = HR.i18n.locale();
+        card.setAttribute('aria-label', t('extName'));
+        card.setAttribute('aria-busy', String(view.busy));
+
+        const message = `<p class="message" role="status">${escapeHtml(view.message)}</p>`;
+        if (current === 'connect') {
+            card.innerHTML = `
+                <header>
+                    <span class="title">${escapeHtml(t('extName'))}</span>
+                    <button class="icon" data-action="dismiss" title="${escapeHtml(t('dismiss'))}" aria-label="${escapeHtml(t('dismiss'))}">&times;</button>
+                </header>
+                <p>${escapeHtml(t('portalConnectPrompt', view.data.profile.name))}</p>
+                <button class="primary" data-action="connect" ${view.busy ? 'disabled' : ''}>
+                    ${escapeHtml(view.busy ? t('portalConnecting') : t('portalConnect'))}
+                </button>
+                ${message}
+            `;
+            return;
+        }
+
+        const isPunchedIn = !!view.data.punchInTime;
+        card.innerHTML = `
+            <header><span class="title">${escapeHtml(t('extName'))}</span></header>
+            <div class="status">
+                <span class="dot ${isPunchedIn ? 'on' : ''}"></span>
+                <span class="status-text"></span>
+            </div>
+            <div class="timer">00:00:00</div>
+            <button class="primary ${isPunchedIn ? 'out' : ''}" data-action="punch" ${view.busy ? 'disabled' : ''}>
+                ${escapeHtml(isPunchedIn ? t('punchOut') : t('punchIn'))}
+            </button>
+            ${message}
+        `;
+        updateTimer();
+    };
+
+    // Net worked time of the running shift, in portal time; breaks (an open one included) don't count
+    const updateTimer = () => {
+        if (!card || !view.data?.connected) return;
+        const timer = card.querySelector('.timer');
+        const status = card.querySelector('.status-text');
+        if (!timer || !status) return;
+
+        const { punchInTime, breakStartTime, breaks, clockOffset } = view.data;
+        if (!punchInTime) {
+            timer.textContent = '00:00:00';
+            status.textContent = t('statusNotPunchedIn');
+            return;
+        }
+
+        const now = Date.now() + (clockOffset || 0);
+        const worked = Math.max(0, now - punchInTime - HR.attendance.breakMs(breaks, punchInTime, now));
+        timer.textContent = formatClock(worked);
+        status.textContent = breakStartTime
+            ? t('onBreakFor', formatClock(now - breakStartTime).slice(0, -3))
+            : t('statusPunchedInSince', HR.i18n.formatTime(punchInTime));
+    };
+
+    // Route changes in single-page portals, and the running timer
+    const tick = () => {
+        if (location.pathname !== view.path) {
+            view.path = location.pathname;
+            render();
+            return;
+        }
+        updateTimer();
+    };
+
+    // --- Helpers ---
+    const formatClock = (ms) => {
+        const seconds = Math.max(0, Math.floor(ms / 1000));
+        return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+    };
+
+    const sendMessage = async (type, payload = {}) => {
+        try {
+            const response = await chrome.runtime.sendMessage({ type, ...payload });
+            return response || { ok: false, message: t('noResponse') };
+        } catch (e) {
+            // The extension was reloaded or removed under this page
+            HR.log.warn(`Background message "${type}" failed`, e);
+            return { ok: false, message: t('backgroundUnavailable') };
+        }
+    };
+
+    const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+
+    // --- Bootstrap ---
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(self.HR);
@@ -0,0 +1,274 @@
+// Enterprise HR Portal - Attendance History Page
+(function (HR) {
+    'use strict';
+
+    const t = HR.i18n.t;
+
+    // --- Configuration & State ---
+    const DEFAULT_RANGE_DAYS = 30;
+    const EXPORT_MAX_PAGES = 50;
+    const view = {
+        from: '',
+        to: '',
+        page: 1,
+        hasMore: false,
+        entries: [],
+        state: null
+    };
+
+    // --- DOM Accessors ---
+    const nodes = {
+        rangeForm: document.getElementById('range-form'),
+        rangeFrom: document.getElementById('range-from'),
+        rangeTo: document.getElementById('range-to'),
+        rangeApplyBtn: document.getElementById('range-apply-btn'),
+        rangeTotal: document.getElementById('range-total'),
+        historySource: document.getElementById('history-source'),
+        exportBar: document.getElementById('export-bar'),
+        weeks: document.getElementById('history-weeks'),
+        loadMoreBtn: document.getElementById('load-more-btn'),
+        statusToast: document.getElementById('status-msg')
+    };
+
+    // --- Initialization ---
+    const init = async () => {
+        await HR.log.init();
+        const data = await HR.storage.get('theme');
+        document.body.setAttribute('data-theme', data.theme);
+        chrome.storage.onChanged.addListener(handleStorageChange);
+        await HR.i18n.load();
+        HR.i18n.localize();
+
+        view.state = await sendMessage('get-state');
+        if (!view.state?.loggedIn) {
+            renderSignedOut();
+            return;
+        }
+
+        const today = new Date();
+        const start = new Date(today.getTime() - (DEFAULT_RANGE_DAYS - 1) * HR.attendance.DAY_MS);
+        nodes.rangeFrom.value = HR.attendance.toDateKey(start);
+        nodes.rangeTo.value = HR.attendance.toDateKey(today);
+
+        nodes.rangeForm.onsubmit = handleApplyRange;
+        nodes.loadMoreBtn.onclick = () => loadPage(view.page + 1);
+        nodes.exportBar.onclick = handleExport;
+
+        await applyRange();
+    };
+
+    // --- Storage Changes ---
+    // Theme and display changes apply at once; new punches (here, in the popup or synced from the portal) reload
+    // the listed range.
+    let reloadTimer = null;
+    const handleStorageChange = (changes, area) => {
+        if (area !== 'local') return;
+        if (changes.theme) document.body.setAttribute('data-theme', changes.theme.newValue || 'dark');
+        if (changes.displayPreferences) applyLanguage();
+
+        const profileId = view.state?.profile?.id;
+        if (!view.state?.loggedIn || !profileId) return;
+        const keys = HR.profiles.keysFor(changes, profileId);
+        if (!keys.includes('history') && !keys.includes('punchQueue')) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(async () => {
+            view.state = await sendMessage('get-state');
+            applyRange();
+        }, 500);
+    };
+
+    const applyLanguage = async () => {
+        await HR.i18n.load();
+        HR.i18n.localize();
+        if (!view.state?.loggedIn) {
+            renderSignedOut();
+        } else if (view.from) {
+            render();
+        }
+    };
+
+    // --- Data Loading ---
+    const handleApplyRange = async (event) => {
+        event.preventDefault();
+        if (nodes.rangeFrom.value > nodes.rangeTo.value) {
+            showToast(t('rangeOrder'));
+            return;
+        }
+        await applyRange();
+    };
+
+    const applyRange = async () => {
+        view.from = nodes.rangeFrom.value;
+        view.to = nodes.rangeTo.value;
+        view.entries = [];
+        try {
+            setLoading(nodes.rangeApplyBtn, true);
+            await loadPage(1);
+        } finally {
+            setLoading(nodes.rangeApplyBtn, false, t('rangeApply'));
+        }
+    };
+
+    const loadPage = async (page) => {
+        setLoading(nodes.loadMoreBtn, true);
+        const result = await sendMessage('get-history', { from: view.from, to: view.to, page });
+        setLoading(nodes.loadMoreBtn, false, t('loadMore'));
+
+        if (!result.ok) {
+            showToast(HR.i18n.messageOf(result) || t('historyLoadFailed'));
+            return;
+        }
+
+        view.page = result.page;
+        view.hasMore = result.hasMore;
+        view.entries = page === 1 ? result.entries : [...view.entries, ...result.entries];
+        nodes.historySource.classList.toggle('hide', result.source !== 'cache');
+        render();
+    };
+
+    // Offline punches not yet on the server still belong in the picture
+    const pendingEntries = () => HR.attendance.filterByRange(
+        (view.state.queue || []).filter(entry => entry.status === 'pending'),
+        view.from, view.to, view.state.policy
+    );
+
+    const buildSessions = (entries) => HR.attendance.buildSessions(entries, {
+        policy: view.state.policy,
+        punchInTime: view.state.punchInTime
+    });
+
+    // --- Export ---
+    // Exports cover the whole range, not just the pages loaded so far.
+    const handleExport = async (event) => {
+        const format = event.target.closest('[data-export]')?.dataset.export;
+        if (!format) return;
+
+        let entries = view.entries;
+        let page = view.page;
+        let hasMore = view.hasMore;
+        while (hasMore && page < EXPORT_MAX_PAGES) {
+            const result = await sendMessage('get-history', { from: view.from, to: view.to, page: page + 1 });
+            if (!result.ok) {
+                showToast(HR.i18n.messageOf(result) || t('exportLoadFailed'));
+                return;
+            }
+            entries = [...entries, ...result.entries];
+            page = result.page;
+            hasMore = result.hasMore;
+        }
+
+        const sessions = buildSessions([...entries, ...pendingEntries()]);
+        if (!sessions.some(session => session.end !== null && !session.running)) {
+            showToast(t('exportNothing'));
+            return;
+        }
+
+        HR.exporter.download(format, sessions, { from: view.from, to: view.to, user: view.state.user });
+    };
+
+    // --- Rendering ---
+    const renderSignedOut = () => {
+        nodes.weeks.innerHTML = `<div class="empty-log">${t('historySignIn')}</div>`;
+        nodes.rangeForm.classList.add('hide');
+        nodes.exportBar.classList.add('hide');
+    };
+
+    const render = () => {
+        const pending = pendingEntries();
+        const sessions = buildSessions([...view.entries, ...pending]);
+        const weeks = HR.attendance.groupByWeek(HR.attendance.groupByDay(sessions));
+        const pendingIds = new Set(pending.map(entry => entry.id));
+
+        const rangeTotal = weeks.reduce((sum, week) => sum + week.totalMs, 0);
+        nodes.rangeTotal.textContent = weeks.length ? t('rangeTotal', HR.i18n.formatDuration(rangeTotal)) : '';
+        nodes.loadMoreBtn.classList.toggle('hide', !view.hasMore);
+
+        if (!weeks.length) {
+            nodes.weeks.innerHTML = `<div class="empty-log">${t('historyEmpty')}</div>`;
+            return;
+        }
+
+        nodes.weeks.innerHTML = weeks.map(week => `
+            <section class="history-week">
+                <div class="module-header week-header">
+                    <h4>${t('weekOf', formatDate(week.weekStart))}</h4>
+                    <span class="week-total">${HR.i18n.formatDuration(week.totalMs)}</span>
+                </div>
+                ${week.days.map(renderDay(pendingIds)).join('')}
+            </section>
+        `).join('');
+    };
+
+    const renderDay = (pendingIds) => (group, index) => `
+        <div class="day-card" style="animation-delay: ${index * 0.05}s">
+            <div class="day-header">
+                <span class="day-label">${formatDate(group.date, { weekday: 'short' })}</span>
+                <span class="day-total">${HR.i18n.formatDuration(group.totalMs)}</span>
+            </div>
+            ${group.sessions.map(session => renderSession(session, pendingIds)).join('')}
+        </div>
+    `;
+
+    const renderSession = (session, pendingIds) => {
+        const flags = [];
+        // A shift's tag is its punch in's; the punch out carries the same one
+        const location = HR.location.normalize(session.in?.workLocation || session.out?.workLocation);
+        if (location) flags.push(`<span class="entry-location">${t(HR.location.LABELS[location])}</span>`);
+        if (session.running) flags.push(`<span class="entry-sync sync-pending">${t('sessionInProgress')}</span>`);
+        if (session.missingOut) flags.push(`<span class="entry-sync sync-rejected">${t('sessionMissingOut')}</span>`);
+        if (session.missingIn) flags.push(`<span class="entry-sync sync-rejected">${t('sessionMissingIn')}</span>`);
+        if ([session.in, session.out].some(entry => entry && pendingIds.has(entry.id))) {
+            flags.push(`<span class="entry-sync sync-pending">${t('syncPending')}</span>`);
+        }
+        if (session.breakMs > 0) {
+            flags.push(`<span class="entry-sync sync-synced">${t('sessionBreaks', HR.i18n.formatDuration(session.breakMs))}</span>`);
+        }
+        const end = session.running ? t('sessionNow') : formatTime(session.end);
+
+        return `
+            <div class="session-row">
+                <span class="entry-time">${t('sessionSpan', [formatTime(session.start), end])}</span>
+                ${flags.join('')}
+                <span class="session-duration">${HR.i18n.formatDuration(session.durationMs)}</span>
+            </div>
+        `;
+    };
+
+    const formatTime = (timestamp) => (timestamp === null
+        ? '--:--'
+        : HR.i18n.formatTime(timestamp));
+
+    const formatDate = (date, extra = {}) => HR.i18n.formatDate(date, { day: 'numeric', month: 'short', ...extra });
+
+    // --- Helpers ---
+    const sendMessage = async (type, payload = {}) => {
+        try {
+            const response = await chrome.runtime.sendMessage({ type, ...payload });
+            return response || { ok: false, message: t('noResponse') };
+        } catch (e) {
+            HR.log.error(`Background message "${type}" failed`, e);
+            return { ok: false, message: t('backgroundUnavailable') };
+        }
+    };
+
+    const setLoading = (btn, isLoading, originalText) => {
+        if (!btn) return;
+        btn.classList.toggle('btn-loading', isLoading);
+        btn.disabled = isLoading;
+        if (!isLoading && originalText) btn.textContent = originalText;
+    };
+
+    const showToast = (msg) => {
+        if (!nodes.statusToast) return;
+        nodes.statusToast.textContent = msg;
+        nodes.statusToast.classList.add('show');
+        setTimeout(() => nodes.statusToast.classList.remove('show'), 3000);
+    };
+
+    // --- Bootstrap ---
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(self.HR);
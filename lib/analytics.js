@@ -0,0 +1,88 @@
+// Enterprise HR Portal - Attendance Analytics
+// Daily totals, average punch times, late arrivals, overtime and streaks from sessions (exposes HR.analytics).
+(function (HR) {
+    'use strict';
+
+    const isWorkingDay = (date) => date.getDay() !== 0 && date.getDay() !== 6;
+
+    // Every day in [from, to] (YYYY-MM-DD), zero-filled: [{ day, date, totalMs, firstIn, lastOut }] oldest first.
+    // `firstIn` / `lastOut` are the day's first punch in and last completed punch out (null when missing).
+    const dailyTotals = (sessions, from, to) => {
+        const groups = new Map(HR.attendance.groupByDay(sessions).map(group => [group.day, group]));
+        const days = [];
+
+        for (let date = HR.attendance.fromDateKey(from); HR.attendance.toDateKey(date) <= to; date.setDate(date.getDate() + 1)) {
+            const day = HR.attendance.toDateKey(date);
+            const group = groups.get(day);
+            const starts = (group?.sessions || []).map(session => session.start).filter(value => value !== null);
+            const ends = (group?.sessions || [])
+                .filter(session => !session.running && session.out)
+                .map(session => session.end);
+
+            days.push({
+                day,
+                date: new Date(date),
+                totalMs: group?.totalMs || 0,
+                firstIn: starts.length ? Math.min(...starts) : null,
+                lastOut: ends.length ? Math.max(...ends) : null
+            });
+        }
+        return days;
+    };
+
+    // Minutes from the calendar midnight of `day`; night shifts that end after midnight run past 1440.
+    const minutesIntoDay = (timestamp, day) => (timestamp - HR.attendance.fromDateKey(day).getTime()) / 60000;
+
+    const average = (values) => (values.length
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null);
+
+    const isLate = (day, policy) => day.firstIn !== null &&
+        minutesIntoDay(day.firstIn, day.day) > policy.shiftStartMinutes + policy.lateGraceMinutes;
+
+    // Period summary from dailyTotals(). Overtime is worked time beyond the target, per day.
+    const summarize = (days, policy) => {
+        const worked = days.filter(day => day.totalMs > 0);
+        const targetMs = HR.policy.targetMs(policy);
+        const totalMs = worked.reduce((sum, day) => sum + day.totalMs, 0);
+
+        return {
+            totalMs,
+            daysWorked: worked.length,
+            averageDayMs: worked.length ? Math.round(totalMs / worked.length) : 0,
+            averageIn: average(days.filter(day => day.firstIn !== null).map(day => minutesIntoDay(day.firstIn, day.day))),
+            averageOut: average(days.filter(day => day.lastOut !== null).map(day => minutesIntoDay(day.lastOut, day.day))),
+            lateDays: days.filter(day => isLate(day, policy)).map(day => day.day),
+            overtimeMs: worked.reduce((sum, day) => sum + Math.max(0, day.totalMs - targetMs), 0)
+        };
+    };
+
+    // Consecutive working days (Mon-Fri) with attendance, from a set of worked day keys. Weekends neither
+    // count nor break a streak, and today only breaks it once it's over.
+    const streaks = (workedDays, today = HR.attendance.toDateKey(new Date())) => {
+        const keys = [...workedDays].sort();
+        if (!keys.length) return { current: 0, longest: 0 };
+
+        let run = 0;
+        let longest = 0;
+        for (let date = HR.attendance.fromDateKey(keys[0]); HR.attendance.toDateKey(date) <= today; date.setDate(date.getDate() + 1)) {
+            const day = HR.attendance.toDateKey(date);
+            if (workedDays.has(day)) {
+                run += 1;
+                longest = Math.max(longest, run);
+            } else if (isWorkingDay(date) && day !== today) {
+                run = 0;
+            }
+        }
+        return { current: run, longest };
+    };
+
+    HR.analytics = {
+        isWorkingDay,
+        dailyTotals,
+        minutesIntoDay,
+        isLate,
+        summarize,
+        streaks
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,586 @@
+// Enterprise HR Portal - API Client
+// One normalized response shape per HR Portal endpoint and explicit error types (exposes HR.api).
+(function (HR) {
+    'use strict';
+
+    // --- Normalized Shapes ---
+    /**
+     * @typedef {{ name: string, email: string, hasReports: boolean }} User  hasReports: the user manages a team
+     * @typedef {{ token: string, refreshToken: ?string, expiresAt: ?number, user: ?User }} Session
+     * @typedef {{ isPunchedIn: boolean, punchInTime: ?number, timeZone: ?string }} Status  punchInTime in epoch ms
+     * @typedef {{ now: number, timeZone: ?string }} ServerTime
+     * @typedef {{ message: string }} PunchResult
+     * @typedef {{ type: 'in'|'out'|'break-start'|'break-end', timestamp: number, workLocation: ?('office'|'remote') }} HistoryEntry  timestamp in epoch ms
+     * @typedef {{ entries: HistoryEntry[], lastPage: ?number }} HistoryPage  lastPage is null when unpaginated
+     * @typedef {{
+     *   id: string, kind: 'regularization'|'leave', day: string, punchIn: ?number, punchOut: ?number,
+     *   leaveType: ?string, reason: string, status: 'pending'|'approved'|'rejected'|'cancelled',
+     *   comment: string, createdAt: ?number
+     * }} AttendanceRequest  day as YYYY-MM-DD, times in epoch ms
+     * @typedef {{
+     *   id: string, name: string, email: string, isPunchedIn: boolean, punchInTime: ?number,
+     *   firstPunchInTime: ?number, workedMs: number, onBreak: boolean, late: ?boolean,
+     *   workLocation: ?('office'|'remote')
+     * }} TeamMember  times in epoch ms; workedMs is today's worked time; late is null unless the portal says
+     * @typedef {{ members: TeamMember[], fetchedAt: number }} Team  fetchedAt: portal time of the snapshot
+     */
+
+    // --- Error Types ---
+    // `code` is stable for callers; `retryable` marks failures worth trying again later.
+    class ApiError extends Error {
+        constructor(message, { status = 0, code = 'api-error', body = null } = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.status = status;
+            this.code = code;
+            this.body = body;
+        }
+
+        get retryable() {
+            return false;
+        }
+    }
+
+    // No response at all (offline, DNS, CORS, aborted)
+    class NetworkError extends ApiError {
+        constructor(message) {
+            super(message, { code: 'network' });
+        }
+
+        get retryable() {
+            return true;
+        }
+    }
+
+    // Codes: 'no-token', 'session-expired', 'invalid-credentials'
+    class AuthError extends ApiError {}
+
+    // 5xx: the portal is having trouble, not refusing the request
+    class ServerError extends ApiError {
+        get retryable() {
+            return true;
+        }
+    }
+
+    // The portal understood the request and refused it (4xx or an error payload)
+    class RejectedError extends ApiError {}
+
+    // A 2xx whose body is not the JSON the endpoint promises
+    class ResponseFormatError extends ApiError {}
+
+    // --- Helpers ---
+    const messageOf = (payload) => payload?.message || payload?.error || payload?.msg || '';
+
+    // Needs lib/time.js loaded first
+    const toTimestamp = (value, options) => HR.time.parseServerTime(value, options);
+
+    const timeZoneOf = (payload) => {
+        const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+        return data.timezone || data.time_zone || data.timeZone || payload.timezone || null;
+    };
+
+    // Expiry from `expires_in` / `expires_at`, falling back to the JWT `exp` claim; null when unknown.
+    const readTokenExpiry = (payload, token) => {
+        const expiresIn = Number(payload.expires_in ?? payload.data?.expires_in);
+        if (expiresIn > 0) return Date.now() + expiresIn * 1000;
+
+        const expiresAt = toTimestamp(payload.expires_at ?? payload.data?.expires_at);
+        if (expiresAt) return expiresAt;
+
+        try {
+            const claims = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            if (claims.exp) return claims.exp * 1000;
+        } catch (e) {
+            // Opaque token
+        }
+        return null;
+    };
+
+    // --- Normalizers ---
+    const normalizeUser = (raw, fallbackEmail = '') => {
+        if (!raw || typeof raw !== 'object') return null;
+        const email = raw.business_email || raw.email || fallbackEmail;
+        const reports = Number(raw.reports_count ?? raw.direct_reports_count ?? raw.reports?.length) || 0;
+        return {
+            name: raw.name || email.split('@')[0],
+            email,
+            hasReports: !!(raw.has_reports ?? raw.is_manager ?? reports > 0)
+        };
+    };
+
+    /** @returns {Session} */
+    const normalizeSession = (payload, { email = '' } = {}) => {
+        const token = payload.token || payload.data?.token;
+        if (!token) {
+            throw new AuthError(messageOf(payload) || 'Login failed. Check credentials.', {
+                code: 'invalid-credentials',
+                body: payload
+            });
+        }
+        return {
+            token,
+            refreshToken: payload.refresh_token || payload.data?.refresh_token || null,
+            expiresAt: readTokenExpiry(payload, token),
+            user: normalizeUser(payload.user || payload.data?.user, email)
+        };
+    };
+
+    /** @returns {User} */
+    const normalizeMe = (payload) => {
+        const user = normalizeUser(payload.user || payload.data?.user || payload.data);
+        if (!user?.email) throw new ResponseFormatError('Profile response has no user', { body: payload });
+        return user;
+    };
+
+    // `now` is the portal's current time; it anchors punch-in times sent as a bare "10:16:29 AM".
+    /** @returns {Status} */
+    const normalizeStatus = (payload, { now = Date.now() } = {}) => {
+        const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+        const timeZone = timeZoneOf(payload);
+        const isPunchedIn = !!(data.isPunchedIn ?? data.is_punched_in);
+        return {
+            isPunchedIn,
+            punchInTime: isPunchedIn ? toTimestamp(data.punchInTime ?? data.punch_in_time, { now, timeZone }) : null,
+            timeZone
+        };
+    };
+
+    /** @returns {ServerTime} */
+    const normalizeTime = (payload) => {
+        const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+        const timeZone = timeZoneOf(payload);
+        const now = toTimestamp(data.now ?? data.server_time ?? data.timestamp ?? data.time, { timeZone });
+        if (now === null) throw new ResponseFormatError('Time response has no timestamp', { body: payload });
+        return { now, timeZone };
+    };
+
+    const toFlag = (value) => (typeof value === 'boolean' ? value : null);
+
+    /** @returns {Team} */
+    const normalizeTeam = (payload, { now = Date.now() } = {}) => {
+        const data = payload.data && typeof payload.data === 'object' && !Array.isArray(payload.data) ? payload.data : payload;
+        const raw = data.members || data.team || data.reports || (Array.isArray(payload.data) ? payload.data : null);
+        if (!Array.isArray(raw)) throw new ResponseFormatError('Team response has no members', { body: payload });
+
+        const timeZone = timeZoneOf(payload);
+        const members = raw
+            .map((item) => {
+                const user = normalizeUser(item);
+                if (!user?.email) return null;
+                const isPunchedIn = !!(item.is_punched_in ?? item.isPunchedIn);
+                const workedMinutes = Number(item.worked_minutes ?? item.today_minutes ??
+                    (item.worked_hours ?? item.today_hours) * 60);
+                return {
+                    id: String(item.id ?? item.user_id ?? user.email),
+                    name: user.name,
+                    email: user.email,
+                    isPunchedIn,
+                    punchInTime: isPunchedIn
+                        ? toTimestamp(item.punch_in_time ?? item.punchInTime, { now, timeZone })
+                        : null,
+                    firstPunchInTime: toTimestamp(item.first_punch_in ?? item.first_in, { now, timeZone }),
+                    workedMs: workedMinutes > 0 ? Math.round(workedMinutes * 60000) : 0,
+                    onBreak: !!(item.on_break ?? item.onBreak),
+                    late: toFlag(item.late ?? item.is_late),
+                    workLocation: entryLocation(item.work_location ?? item.workLocation)
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return { members, fetchedAt: now };
+    };
+
+    // Some portals answer 200 with an error payload; an explicit success marker wins over the message text.
+    /** @returns {PunchResult} */
+    const normalizePunch = (payload) => {
+        const status = String(payload.status ?? payload.data?.status ?? '').toLowerCase();
+        const isSuccess = status === 'success' || payload.success === true;
+        const hasError = !!payload.error || status === 'error' || payload.success === false ||
+            /error/i.test(payload.message || '');
+
+        if (!isSuccess && hasError) {
+            throw new RejectedError(messageOf(payload) || 'Punch rejected', { status: 200, body: payload });
+        }
+        return { message: payload.message || '' };
+    };
+
+    // "in" / "out", and break markers however the portal spells them ("break_start", "Break In", ...)
+    const entryType = (raw) => {
+        const type = String(raw || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+        if (type === 'in' || type === 'out') return type;
+        if (/^break-(start|begin|in)$/.test(type)) return 'break-start';
+        if (/^break-(end|stop|out)$/.test(type)) return 'break-end';
+        return null;
+    };
+
+    // Office / Remote tag however the portal spells it ("WFO", "Work from home", ...); null when untagged
+    const entryLocation = (raw) => {
+        const location = String(raw || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+        if (/^(office|on ?site|wfo|work from office|in office)$/.test(location)) return 'office';
+        if (/^(remote|home|wfh|work from home|off ?site)$/.test(location)) return 'remote';
+        return null;
+    };
+
+    /** @returns {HistoryPage} */
+    const normalizeHistory = (payload) => {
+        const raw = payload.history || payload.data?.history || (Array.isArray(payload.data) ? payload.data : null);
+        if (!Array.isArray(raw)) throw new ResponseFormatError('History response has no entries', { body: payload });
+
+        const timeZone = timeZoneOf(payload);
+        const meta = payload.meta || payload.pagination || payload.data?.meta || payload.data?.pagination || {};
+        const lastPage = Number(meta.last_page || meta.total_pages) || null;
+        const entries = raw
+            .map(item => ({
+                ...item,
+                type: entryType(item.type || item.punch_type),
+                timestamp: toTimestamp(item.timestamp ?? item.time ?? item.punched_at, { timeZone }),
+                workLocation: entryLocation(item.work_location ?? item.workLocation ?? item.location)
+            }))
+            .filter(item => item.type && item.timestamp !== null);
+        return { entries, lastPage };
+    };
+
+    // "approved", "Declined", "withdrawn", ... onto the four states the extension shows
+    const requestStatus = (raw) => {
+        const status = String(raw || '').trim().toLowerCase();
+        if (/^(approved|accepted|granted)$/.test(status)) return 'approved';
+        if (/^(rejected|declined|denied)$/.test(status)) return 'rejected';
+        if (/^(cancel+ed|withdrawn)$/.test(status)) return 'cancelled';
+        return 'pending';
+    };
+
+    /** @returns {?AttendanceRequest} */
+    const normalizeRequest = (raw, { timeZone = null } = {}) => {
+        const id = raw?.id ?? raw?.request_id;
+        const day = String(raw?.date || raw?.day || '').slice(0, 10);
+        if (id === undefined || id === null || !/^\d{4}-\d{2}-\d{2}$/.test(day)) return null;
+
+        return {
+            id: String(id),
+            kind: /leave/i.test(raw.type || raw.request_type || raw.kind || '') ? 'leave' : 'regularization',
+            day,
+            punchIn: toTimestamp(raw.punch_in ?? raw.punchIn, { timeZone }),
+            punchOut: toTimestamp(raw.punch_out ?? raw.punchOut, { timeZone }),
+            leaveType: raw.leave_type || raw.leaveType || null,
+            reason: raw.reason || '',
+            status: requestStatus(raw.status),
+            comment: raw.comment || raw.reviewer_comment || raw.remarks || '',
+            createdAt: toTimestamp(raw.created_at ?? raw.createdAt, { timeZone })
+        };
+    };
+
+    /** @returns {AttendanceRequest[]} */
+    const normalizeRequests = (payload) => {
+        const raw = payload.requests || payload.data?.requests || (Array.isArray(payload.data) ? payload.data : null);
+        if (!Array.isArray(raw)) throw new ResponseFormatError('Requests response has no list', { body: payload });
+
+        const timeZone = timeZoneOf(payload);
+        return raw
+            .map(item => normalizeRequest(item, { timeZone }))
+            .filter(Boolean)
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    };
+
+    // --- Transport ---
+    const formBody = (fields) => {
+        const formData = new FormData();
+        Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+        return formData;
+    };
+
+    // One HTTP round trip mapped onto the error types above. Resolves { status, payload, headers, clockOffset },
+    // `clockOffset` being server minus local time from the `Date` header (null when the header is hidden).
+    const request = async (url, { method = 'GET', body, token, fetchImpl = (...args) => fetch(...args) } = {}) => {
+        // Don't set Content-Type for FormData (fetch sets it with the boundary)
+        const headers = { 'Accept': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        let response;
+        const sentAt = Date.now();
+        try {
+            response = await fetchImpl(url, { method, headers, body });
+        } catch (e) {
+            throw new NetworkError(`Network request failed: ${e.message}`);
+        }
+
+        const text = await response.text().catch(() => '');
+        let payload = {};
+        let parsed = true;
+        if (text) {
+            try {
+                payload = JSON.parse(text);
+            } catch (e) {
+                parsed = false;
+            }
+        }
+
+        const { status } = response;
+        if (status >= 500) {
+            throw new ServerError(`Server error: ${status} ${response.statusText}`.trim(), { status, body: text });
+        }
+        if (status === 401) {
+            throw new AuthError(messageOf(payload) || 'Session expired', {
+                status,
+                code: 'session-expired',
+                body: parsed ? payload : text
+            });
+        }
+        if (!response.ok) {
+            throw new RejectedError(messageOf(payload) || `Action failed (${status})`, { status, body: payload });
+        }
+        if (!parsed || !payload || typeof payload !== 'object') {
+            throw new ResponseFormatError(`Unexpected response from server (HTTP ${status})`, { status, body: text });
+        }
+        const serverDate = response.headers.get('date');
+        const clockOffset = serverDate ? HR.time.estimateOffset(serverDate, sentAt, Date.now()) : null;
+        return { status, payload, headers: response.headers, clockOffset };
+    };
+
+    // --- Client ---
+    // `baseUrl` is a string or an (async) function; `getToken` resolves the current access token,
+    // `refresh` tries to renew it (true on success) and `onSessionExpired` runs when it can't be renewed.
+    // `onClockOffset` receives the server-minus-local clock estimate from every response that has one, and
+    // `onCall` a summary of every round trip ({ method, endpoint, status, ms, error }; never headers or bodies).
+    const createClient = ({
+        baseUrl,
+        getToken = async () => null,
+        refresh = async () => false,
+        onSessionExpired = async () => {},
+        onClockOffset = () => {},
+        onCall = () => {},
+        fetchImpl = (...args) => fetch(...args)
+    }) => {
+        const url = async (endpoint) => `${typeof baseUrl === 'function' ? await baseUrl() : baseUrl}${endpoint}`;
+
+        const send = async (endpoint, options = {}) => {
+            const call = { method: options.method || 'GET', endpoint };
+            const sentAt = Date.now();
+            let response;
+            try {
+                response = await request(await url(endpoint), { ...options, fetchImpl });
+            } catch (e) {
+                onCall({ ...call, status: e.status || 0, ms: Date.now() - sentAt, error: e.code || e.name });
+                throw e;
+            }
+            onCall({ ...call, status: response.status, ms: Date.now() - sentAt });
+            if (response.clockOffset !== null) await onClockOffset(response.clockOffset);
+            return response;
+        };
+
+        // Bearer request; one retry with a refreshed token before the session is given up.
+        const authed = async (endpoint, options = {}, retried = false) => {
+            const token = await getToken();
+            if (!token) {
+                await onSessionExpired();
+                throw new AuthError('No token found', { code: 'no-token' });
+            }
+
+            try {
+                return await send(endpoint, { ...options, token });
+            } catch (e) {
+                if (!(e instanceof AuthError)) throw e;
+                if (!retried && await refresh()) return authed(endpoint, options, true);
+                await onSessionExpired();
+                throw e;
+            }
+        };
+
+        return {
+            /** @returns {Promise<Session>} */
+            async login({ email, password }) {
+                try {
+                    const { payload } = await send('/login', { method: 'POST', body: formBody({ email, password }) });
+                    return normalizeSession(payload, { email });
+                } catch (e) {
+                    // A 401 here means wrong credentials, not an ended session
+                    if (e instanceof AuthError || e instanceof RejectedError) {
+                        throw new AuthError(messageOf(e.body) || 'Login failed. Check credentials.', {
+                            status: e.status,
+                            code: 'invalid-credentials',
+                            body: e.body
+                        });
+                    }
+                    throw e;
+                }
+            },
+
+            /** @returns {Promise<Session>} */
+            async refresh(refreshToken) {
+                const { payload } = await send('/refresh', { method: 'POST', body: formBody({ refresh_token: refreshToken }) });
+                const session = normalizeSession(payload);
+                return { ...session, refreshToken: session.refreshToken || refreshToken };
+            },
+
+            // Tokens for the user already signed in to the portal's web pages. Sent from a portal page with its
+            // cookies (content.js); null when the portal has no such endpoint, AuthError when signed out there.
+            /** @returns {Promise<?Session>} */
+            async portalSession() {
+                try {
+                    const { payload } = await send('/session/token', { method: 'POST' });
+                    return normalizeSession(payload);
+                } catch (e) {
+                    if (e instanceof RejectedError && e.status === 404) return null;
+                    throw e;
+                }
+            },
+
+            // Best effort: the token is discarded locally either way
+            async logout(token) {
+                await send('/logout', { method: 'POST', token });
+            },
+
+            /** @returns {Promise<User>} */
+            async me() {
+                return normalizeMe((await authed('/me')).payload);
+            },
+
+            /** @returns {Promise<Status>} */
+            async status() {
+                const { payload, clockOffset } = await authed('/user/status');
+                return normalizeStatus(payload, { now: Date.now() + (clockOffset || 0) });
+            },
+
+            // Portals that hide the `Date` header may offer `/time`; null when they don't.
+            /** @returns {Promise<?ServerTime>} */
+            async time() {
+                try {
+                    const sentAt = Date.now();
+                    const result = normalizeTime((await send('/time')).payload);
+                    await onClockOffset(result.now - (sentAt + Date.now()) / 2);
+                    return result;
+                } catch (e) {
+                    if (e instanceof RejectedError && e.status === 404) return null;
+                    throw e;
+                }
+            },
+
+            // `timestamp` in epoch ms; the portal takes epoch seconds. `workLocation` ('office' | 'remote')
+            // is sent as `work_location` when the punch is tagged.
+            /** @returns {Promise<PunchResult>} */
+            async punch({ type, timestamp, workLocation = null }) {
+                const body = formBody({
+                    type,
+                    timestamp: Math.floor(timestamp / 1000),
+                    ...(workLocation ? { work_location: workLocation } : {})
+                });
+                return normalizePunch((await authed('/punch/action', { method: 'POST', body })).payload);
+            },
+
+            // Break start/end (`type` 'start' | 'end'); null when the portal has no break endpoint.
+            /** @returns {Promise<?PunchResult>} */
+            async breakAction({ type, timestamp }) {
+                try {
+                    const body = formBody({ type, timestamp: Math.floor(timestamp / 1000) });
+                    return normalizePunch((await authed('/punch/break', { method: 'POST', body })).payload);
+                } catch (e) {
+                    if (e instanceof RejectedError && e.status === 404) return null;
+                    throw e;
+                }
+            },
+
+            // Without arguments the portal's default (unpaginated) history is requested.
+            /** @returns {Promise<HistoryPage>} */
+            async history({ from, to, page, perPage } = {}) {
+                const params = new URLSearchParams();
+                if (page) params.set('page', page);
+                if (perPage) params.set('per_page', perPage);
+                if (from) params.set('from', from);
+                if (to) params.set('to', to);
+                const query = params.toString();
+                return normalizeHistory((await authed(`/punch/history${query ? `?${query}` : ''}`)).payload);
+            },
+
+            // Today's presence of the user's reports; null when the portal has no team endpoint or the user
+            // manages nobody.
+            /** @returns {Promise<?Team>} */
+            async team() {
+                try {
+                    const { payload, clockOffset } = await authed('/team/status');
+                    return normalizeTeam(payload, { now: Date.now() + (clockOffset || 0) });
+                } catch (e) {
+                    if (e instanceof RejectedError && (e.status === 404 || e.status === 403)) return null;
+                    throw e;
+                }
+            },
+
+            // Regularization and leave requests, newest first; null when the portal has no requests endpoint.
+            /** @returns {Promise<?AttendanceRequest[]>} */
+            async requests() {
+                try {
+                    return normalizeRequests((await authed('/attendance/requests')).payload);
+                } catch (e) {
+                    if (e instanceof RejectedError && e.status === 404) return null;
+                    throw e;
+                }
+            },
+
+            // A validated request (see HR.requests.validate); times go out as epoch seconds.
+            /** @returns {Promise<AttendanceRequest>} */
+            async submitRequest({ kind, day, punchIn, punchOut, leaveType, reason }) {
+                const fields = { type: kind, date: day, reason };
+                if (punchIn) fields.punch_in = Math.floor(punchIn / 1000);
+                if (punchOut) fields.punch_out = Math.floor(punchOut / 1000);
+                if (leaveType) fields.leave_type = leaveType;
+
+                const { payload } = await authed('/attendance/requests', { method: 'POST', body: formBody(fields) });
+                const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+                const request = normalizeRequest(data.request || payload.request || data, { timeZone: timeZoneOf(payload) });
+                if (!request) throw new ResponseFormatError('Request response has no request', { body: payload });
+                return request;
+            },
+
+            // Raw organisation policy (see HR.policy.normalize), or null when the portal has none.
+            async policy() {
+                try {
+                    const { payload } = await authed('/attendance/policy');
+                    return payload.policy || payload.data?.policy || payload.data || payload;
+                } catch (e) {
+                    if (e instanceof RejectedError && e.status === 404) return null;
+                    throw e;
+                }
+            }
+        };
+    };
+
+    // A portal answers `/health`, or `/me` with 200/401 JSON (401 simply means "not signed in"). Resolves
+    // { ok: true } or { ok: false, error, errorArgs } where `error` is a _locales message key.
+    const probe = async (baseUrl, fetchImpl = (...args) => fetch(...args)) => {
+        try {
+            await request(`${baseUrl}/health`, { fetchImpl });
+            return { ok: true };
+        } catch (e) {
+            if (e instanceof NetworkError) return { ok: false, error: 'profilePortalUnreachable' };
+        }
+
+        try {
+            await request(`${baseUrl}/me`, { fetchImpl });
+            return { ok: true };
+        } catch (e) {
+            if (e instanceof AuthError && e.body && typeof e.body === 'object') return { ok: true };
+            if (e instanceof NetworkError) return { ok: false, error: 'profilePortalUnreachable' };
+            return e.status
+                ? { ok: false, error: 'profileNotPortal', errorArgs: e.status }
+                : { ok: false, error: 'profileNotPortalInvalid' };
+        }
+    };
+
+    HR.api = {
+        ApiError,
+        NetworkError,
+        AuthError,
+        ServerError,
+        RejectedError,
+        ResponseFormatError,
+        normalizeSession,
+        normalizeMe,
+        normalizeStatus,
+        normalizeTime,
+        normalizePunch,
+        normalizeHistory,
+        normalizeRequest,
+        normalizeRequests,
+        request,
+        createClient,
+        probe
+    };
+})(self.HR = self.HR || {});
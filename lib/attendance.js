@@ -0,0 +1,173 @@
+// Enterprise HR Portal - Attendance Sessions
+// Pairs raw punch entries into sessions (net of breaks) and groups them by attendance day / week (exposes HR.attendance).
+(function (HR) {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // History timestamps arrive as epoch ms, epoch seconds or date strings.
+    const toTimestamp = (value) => {
+        if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+        if (typeof value === 'string' && /^\d+$/.test(value)) return toTimestamp(Number(value));
+        const parsed = new Date(value).getTime();
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    // Local calendar date as YYYY-MM-DD (the format of <input type="date">).
+    const toDateKey = (date) => {
+        const d = new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    };
+
+    const fromDateKey = (key) => {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    };
+
+    // Monday of the week containing `date`.
+    const startOfWeek = (date) => {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return d;
+    };
+
+    // Attendance day of a timestamp as a YYYY-MM-DD key, honouring the policy's day-boundary hour.
+    const dayKey = (timestamp, policy) => toDateKey(timestamp - (policy?.dayBoundaryHour || 0) * 3600000);
+
+    // Keep entries whose attendance day falls within [from, to] (YYYY-MM-DD, both optional).
+    const filterByRange = (entries, from, to, policy) => (entries || []).filter((item) => {
+        const timestamp = toTimestamp(item.timestamp);
+        if (timestamp === null) return false;
+        const key = dayKey(timestamp, policy);
+        return (!from || key >= from) && (!to || key <= to);
+    });
+
+    // --- Breaks ---
+    const isBreak = (item) => item.type === 'break-start' || item.type === 'break-end';
+
+    // Time spent on breaks between `from` and `to`; a break still open at `to` counts up to `to`.
+    const breakMs = (entries, from, to) => {
+        let total = 0;
+        let openAt = null;
+        (entries || [])
+            .filter(isBreak)
+            .map(item => ({ type: item.type, timestamp: toTimestamp(item.timestamp) }))
+            .filter(item => item.timestamp !== null)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach((item) => {
+                if (item.type === 'break-start') {
+                    if (openAt === null) openAt = item.timestamp;
+                } else if (openAt !== null) {
+                    total += Math.max(0, Math.min(item.timestamp, to) - Math.max(openAt, from));
+                    openAt = null;
+                }
+            });
+        if (openAt !== null) total += Math.max(0, to - Math.max(openAt, from));
+        return total;
+    };
+
+    // Locally kept break entries the server history doesn't list (same type within a minute).
+    const unlistedBreaks = (history, breaks) => {
+        const known = (history || []).filter(isBreak);
+        return (breaks || []).filter(local => !known.some(item =>
+            item.type === local.type && Math.abs(toTimestamp(item.timestamp) - toTimestamp(local.timestamp)) < 60000
+        ));
+    };
+
+    const withLocalBreaks = (history, breaks) => [...(history || []), ...unlistedBreaks(history, breaks)];
+
+    // Pair each "in" with the next "out". Unmatched punches become sessions flagged `missingOut` /
+    // `missingIn`, except a trailing "in" while punched in (`punchInTime`), which runs up to `now`.
+    // `durationMs` is net of breaks (`breakMs`); `grossMs` includes them.
+    const buildSessions = (entries, { policy, punchInTime = null, now = Date.now() } = {}) => {
+        const sorted = (entries || [])
+            .map(item => ({ ...item, timestamp: toTimestamp(item.timestamp) }))
+            .filter(item => item.timestamp !== null && (item.type === 'in' || item.type === 'out'))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const breaks = (entries || []).filter(isBreak);
+
+        const sessions = [];
+        let open = null;
+
+        const close = (out, running = false) => {
+            const start = open ? open.timestamp : null;
+            const end = out ? out.timestamp : (running ? now : null);
+            const grossMs = start !== null && end !== null ? end - start : 0;
+            const sessionBreakMs = grossMs ? breakMs(breaks, start, end) : 0;
+            sessions.push({
+                in: open,
+                out,
+                start,
+                end,
+                day: dayKey(start ?? end, policy),
+                durationMs: grossMs - sessionBreakMs,
+                grossMs,
+                breakMs: sessionBreakMs,
+                running,
+                missingIn: start === null,
+                missingOut: !out && !running
+            });
+            open = null;
+        };
+
+        sorted.forEach((item) => {
+            if (item.type === 'in') {
+                if (open) close(null);
+                open = item;
+            } else {
+                close(item);
+            }
+        });
+        if (open) close(null, punchInTime !== null);
+
+        return sessions;
+    };
+
+    // [{ day, date, sessions, totalMs }] newest first.
+    const groupByDay = (sessions) => {
+        const days = new Map();
+        sessions.forEach((session) => {
+            if (!days.has(session.day)) {
+                days.set(session.day, { day: session.day, date: fromDateKey(session.day), sessions: [], totalMs: 0 });
+            }
+            const group = days.get(session.day);
+            group.sessions.push(session);
+            group.totalMs += session.durationMs;
+        });
+        return [...days.values()].sort((a, b) => b.date - a.date);
+    };
+
+    // [{ weekStart, days, totalMs }] newest first, from the output of groupByDay.
+    const groupByWeek = (days) => {
+        const weeks = new Map();
+        days.forEach((group) => {
+            const weekStart = startOfWeek(group.date);
+            const key = weekStart.getTime();
+            if (!weeks.has(key)) weeks.set(key, { weekStart, days: [], totalMs: 0 });
+            const week = weeks.get(key);
+            week.days.push(group);
+            week.totalMs += group.totalMs;
+        });
+        return [...weeks.values()].sort((a, b) => b.weekStart - a.weekStart);
+    };
+
+    HR.attendance = {
+        DAY_MS,
+        toTimestamp,
+        toDateKey,
+        fromDateKey,
+        startOfWeek,
+        dayKey,
+        filterByRange,
+        isBreak,
+        breakMs,
+        unlistedBreaks,
+        withLocalBreaks,
+        buildSessions,
+        groupByDay,
+        groupByWeek
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,141 @@
+// Enterprise HR Portal - Attendance Export
+// Serializes sessions from HR.attendance.buildSessions as CSV, JSON or iCalendar (exposes HR.exporter).
+(function (HR) {
+    'use strict';
+
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const formatClock = (timestamp) => {
+        if (timestamp === null) return '';
+        const d = new Date(timestamp);
+        return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+    };
+
+    // Duration as H:MM, the format spreadsheets and timesheets accept as a time value
+    const formatHours = (ms) => {
+        const totalMinutes = Math.max(0, Math.round(ms / 60000));
+        return `${Math.floor(totalMinutes / 60)}:${pad(totalMinutes % 60)}`;
+    };
+
+    // Only closed sessions are exported; a missing punch has no meaningful duration.
+    const completeSessions = (sessions) => sessions
+        .filter(session => session.start !== null && session.end !== null && !session.running)
+        .sort((a, b) => a.start - b.start);
+
+    // --- CSV ---
+    const csvCell = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const toCsv = (sessions) => {
+        const rows = [['date', 'in', 'out', 'duration']];
+        completeSessions(sessions).forEach((session) => {
+            rows.push([session.day, formatClock(session.start), formatClock(session.end), formatHours(session.durationMs)]);
+        });
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    };
+
+    // --- JSON ---
+    const toJson = (sessions, { from, to, user } = {}) => {
+        const complete = completeSessions(sessions);
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            range: { from: from || null, to: to || null },
+            user: user ? { name: user.name, email: user.email } : null,
+            totalMinutes: Math.round(complete.reduce((sum, session) => sum + session.durationMs, 0) / 60000),
+            sessions: complete.map(session => ({
+                date: session.day,
+                in: new Date(session.start).toISOString(),
+                out: new Date(session.end).toISOString(),
+                durationMinutes: Math.round(session.durationMs / 60000),
+                breakMinutes: Math.round(session.breakMs / 60000)
+            }))
+        }, null, 2);
+    };
+
+    // --- iCalendar ---
+    const icsDate = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    // Line breaks of any kind become the escaped \n; a bare CR would end the content line early
+    const icsText = (value) => String(value)
+        .replace(/[\\;,]/g, (ch) => `\\${ch}`)
+        .replace(/\r\n|\r|\n/g, '\\n');
+
+    const encoder = new TextEncoder();
+
+    // RFC 5545: content lines are at most 75 octets of UTF-8; longer ones continue on the next line after a
+    // space, which counts toward that line's 75. Lines break between characters, never inside one.
+    const foldLine = (line) => {
+        const parts = [];
+        let part = '';
+        let octets = 0;
+        for (const ch of line) {
+            const size = encoder.encode(ch).length;
+            if (octets + size > (parts.length ? 74 : 75)) {
+                parts.push(part);
+                part = '';
+                octets = 0;
+            }
+            part += ch;
+            octets += size;
+        }
+        parts.push(part);
+        return parts.join('\r\n ');
+    };
+
+    const toIcs = (sessions, { user } = {}) => {
+        const stamp = icsDate(Date.now());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Enterprise HR Systems//HR Portal Extension//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        completeSessions(sessions).forEach((session) => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${session.start}-${session.end}@hr-portal-extension`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${icsDate(session.start)}`,
+                `DTEND:${icsDate(session.end)}`,
+                `SUMMARY:${icsText(HR.i18n.t('exportShiftSummary', HR.i18n.formatDuration(session.durationMs)))}`,
+                ...(user?.name ? [`DESCRIPTION:${icsText(HR.i18n.t('exportShiftDescription', user.name))}`] : []),
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    };
+
+    const FORMATS = {
+        csv: { serialize: toCsv, mime: 'text/csv', extension: 'csv' },
+        json: { serialize: toJson, mime: 'application/json', extension: 'json' },
+        ics: { serialize: toIcs, mime: 'text/calendar', extension: 'ics' }
+    };
+
+    // Save the export through a temporary object URL (extension pages only).
+    const download = (format, sessions, options = {}) => {
+        const { serialize, mime, extension } = FORMATS[format];
+        const blob = new Blob([serialize(sessions, options)], { type: `${mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `attendance_${options.from || 'all'}_${options.to || 'all'}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    HR.exporter = {
+        toCsv,
+        toJson,
+        toIcs,
+        download
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,144 @@
+// Enterprise HR Portal - Localization
+// Messages from the _locales catalogs (chrome.i18n format), the user's language and clock preferences,
+// and locale-aware time formatting for extension pages (exposes HR.i18n).
+(function (HR) {
+    'use strict';
+
+    // Catalogs shipped in _locales; the first is the manifest's default_locale
+    const LANGUAGES = {
+        en: 'English',
+        es: 'Español',
+        ar: 'العربية'
+    };
+    const DEFAULT_LANGUAGE = 'en';
+    const RTL_LANGUAGES = new Set(['ar', 'fa', 'he', 'ur']);
+
+    // language: 'auto' (browser language) or a LANGUAGES key; clock: 'auto' (locale default), '12h' or '24h'
+    const DEFAULT_PREFERENCES = { language: 'auto', clock: 'auto' };
+
+    let preferences = { ...DEFAULT_PREFERENCES };
+    let language = DEFAULT_LANGUAGE;
+    let catalog = null; // Chosen language's messages.json; null defers to chrome.i18n
+
+    const baseLanguage = (tag) => String(tag || '').toLowerCase().split(/[-_]/)[0];
+
+    const resolveLanguage = (choice) => {
+        const wanted = choice === 'auto' ? baseLanguage(chrome.i18n.getUILanguage()) : choice;
+        return LANGUAGES[wanted] ? wanted : DEFAULT_LANGUAGE;
+    };
+
+    const fetchCatalog = async (lang) => {
+        try {
+            const response = await fetch(chrome.runtime.getURL(`_locales/${lang}/messages.json`));
+            return await response.json();
+        } catch (e) {
+            HR.log.error(`Message catalog "${lang}" failed to load`, e);
+            return null;
+        }
+    };
+
+    // chrome.i18n only follows the browser language, so an explicit choice loads its catalog directly. The
+    // portal content script has no storage access: it passes the worker's `settings()` instead.
+    const load = async (given) => {
+        const stored = given ? given.preferences : (await HR.storage.get('displayPreferences')).displayPreferences;
+        preferences = { ...DEFAULT_PREFERENCES, ...stored };
+        language = resolveLanguage(preferences.language);
+        if (preferences.language === 'auto') catalog = null;
+        else catalog = given ? given.catalog : await fetchCatalog(language);
+        return preferences;
+    };
+
+    // What `load` read, for a page that can't read it itself
+    const settings = () => ({ preferences, catalog });
+
+    const save = async (changes) => {
+        const next = { ...preferences, ...changes };
+        if (next.language !== 'auto' && !LANGUAGES[next.language]) next.language = 'auto';
+        if (!['auto', '12h', '24h'].includes(next.clock)) next.clock = 'auto';
+        await HR.storage.set({ displayPreferences: next });
+        return load();
+    };
+
+    // --- Messages ---
+    // Same rules as chrome.i18n: named $PLACEHOLDERS$ expand to their content, then $1..$9 to substitutions.
+    const format = (entry, values) => entry.message
+        .replace(/\$([a-z0-9_@]+)\$/gi, (match, name) => entry.placeholders?.[name.toLowerCase()]?.content ?? match)
+        .replace(/\$(\d)/g, (match, index) => values[index - 1] ?? '')
+        .replace(/\$\$/g, '$');
+
+    // Message `key` with optional substitutions (a value or an array); the key itself when unknown.
+    const t = (key, substitutions) => {
+        const values = [].concat(substitutions ?? []).map(String);
+        const entry = catalog?.[key];
+        if (entry) return format(entry, values);
+        return chrome.i18n.getMessage(key, values) || key;
+    };
+
+    // Text of a background worker result: its `messageKey` (and `messageArgs`) in this page's language, else
+    // `message` as given (the portal's own wording)
+    const messageOf = (result) => (result?.messageKey
+        ? t(result.messageKey, result.messageArgs)
+        : result?.message || '');
+
+    const isRtl = () => RTL_LANGUAGES.has(language);
+
+    // data-i18n sets an element's text; data-i18n-title / -placeholder / -aria-label set that attribute.
+    const localize = (root = document) => {
+        root.querySelectorAll('[data-i18n]').forEach((node) => {
+            node.textContent = t(node.dataset.i18n);
+        });
+        ['title', 'placeholder', 'aria-label'].forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((node) => {
+                node.setAttribute(attribute, t(node.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+        document.documentElement.lang = language;
+        document.documentElement.dir = isRtl() ? 'rtl' : 'ltr';
+    };
+
+    // --- Formatting ---
+    // The browser's regional variant (en-GB, es-MX) when it matches the chosen language
+    const locale = () => {
+        const browser = chrome.i18n.getUILanguage();
+        return baseLanguage(browser) === language ? browser : language;
+    };
+
+    const hourCycle = () => ({ '12h': 'h12', '24h': 'h23' })[preferences.clock];
+
+    const formatTime = (timestamp, { seconds = false } = {}) => new Date(timestamp).toLocaleTimeString(locale(), {
+        hour: '2-digit',
+        minute: '2-digit',
+        ...(seconds ? { second: '2-digit' } : {}),
+        hourCycle: hourCycle()
+    });
+
+    const formatDate = (timestamp, options = { day: 'numeric', month: 'short' }) =>
+        new Date(timestamp).toLocaleDateString(locale(), options);
+
+    // Whole minutes as "8 h", "45 min" or "1 h 30 min" in the chosen language
+    const formatMinutes = (minutes) => {
+        const hours = Math.floor(minutes / 60);
+        if (!hours) return t('durationMinutes', [minutes]);
+        return minutes % 60 ? t('durationHoursMinutes', [hours, minutes % 60]) : t('durationHours', [hours]);
+    };
+
+    // Elapsed milliseconds the same way, in whole minutes
+    const formatDuration = (ms) => formatMinutes(Math.max(0, Math.floor(ms / 60000)));
+
+    HR.i18n = {
+        LANGUAGES,
+        DEFAULT_PREFERENCES,
+        load,
+        settings,
+        save,
+        t,
+        messageOf,
+        isRtl,
+        localize,
+        locale,
+        formatTime,
+        formatDate,
+        formatMinutes,
+        formatDuration
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,126 @@
+// Enterprise HR Portal - Work Location
+// Office / Remote tags for punches: settings, and suggestions from office network addresses (background
+// worker) or the device position against office coordinates (popup). Classic script, exposes HR.location.
+(function (HR) {
+    'use strict';
+
+    // _locales message keys
+    const LABELS = {
+        office: 'locationOffice',
+        remote: 'locationRemote'
+    };
+
+    // officeNetworks: addresses only reachable from the office network (probe URLs);
+    // geolocation: opt-in position check; offices: [{ latitude, longitude, radiusMeters }]
+    const DEFAULT_SETTINGS = { officeNetworks: [], geolocation: false, offices: [] };
+    const DEFAULT_RADIUS_METERS = 300;
+    const MAX_ACCURACY_METERS = 1000; // Vaguer position fixes suggest nothing
+    const PROBE_TIMEOUT_MS = 2000;
+
+    // 'office' / 'remote', or null for anything else (no tag)
+    const normalize = (value) => (Object.prototype.hasOwnProperty.call(LABELS, value) ? value : null);
+
+    // --- Settings ---
+    // Device-wide, like the local attendance policy
+    const load = async () => {
+        const data = await HR.storage.get('locationSettings');
+        return { ...DEFAULT_SETTINGS, ...data.locationSettings };
+    };
+
+    // "intranet.corp.example" or a full http(s) address; null when neither
+    const toProbeUrl = (entry) => {
+        const text = String(entry || '').trim();
+        if (!text) return null;
+        try {
+            const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+            return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // Settings draft to what is stored: { ok: true, settings } or { ok: false, error, errorArgs } where `error`
+    // is the _locales message key and `errorArgs` its substitution.
+    const fail = (error, errorArgs) => ({ ok: false, error, errorArgs });
+
+    const validate = (draft) => {
+        const officeNetworks = [];
+        for (const entry of draft?.officeNetworks || []) {
+            const url = toProbeUrl(entry);
+            if (!url) return fail('locationNetworkInvalid', entry);
+            if (!officeNetworks.includes(url)) officeNetworks.push(url);
+        }
+
+        const offices = [];
+        for (const office of draft?.offices || []) {
+            const latitude = Number(office?.latitude);
+            const longitude = Number(office?.longitude);
+            const radiusMeters = Number(office?.radiusMeters ?? DEFAULT_RADIUS_METERS);
+            if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+                !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+                return fail('locationCoordinatesInvalid');
+            }
+            if (!Number.isFinite(radiusMeters) || radiusMeters < 10 || radiusMeters > 10000) {
+                return fail('locationRadiusInvalid');
+            }
+            offices.push({ latitude, longitude, radiusMeters });
+        }
+
+        const geolocation = !!draft?.geolocation;
+        if (geolocation && !offices.length) return fail('locationOfficesMissing');
+        return { ok: true, settings: { officeNetworks, geolocation, offices } };
+    };
+
+    // --- Suggestions ---
+    // Any office address answering means the device is on the office network. Opaque (no-cors) responses
+    // are enough since only reachability counts. Null when no addresses are configured.
+    const fromNetwork = async (urls, { timeoutMs = PROBE_TIMEOUT_MS } = {}) => {
+        if (!urls?.length) return null;
+
+        const probe = async (url) => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                await fetch(url, { mode: 'no-cors', cache: 'no-store', credentials: 'omit', signal: controller.signal });
+            } finally {
+                clearTimeout(timer);
+            }
+        };
+
+        try {
+            await Promise.any(urls.map(probe));
+            return 'office';
+        } catch (e) {
+            return 'remote';
+        }
+    };
+
+    // Great-circle distance between two { latitude, longitude } points
+    const distanceMeters = (a, b) => {
+        const radians = (degrees) => degrees * Math.PI / 180;
+        const dLat = radians(b.latitude - a.latitude);
+        const dLon = radians(b.longitude - a.longitude);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(radians(a.latitude)) * Math.cos(radians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(h));
+    };
+
+    // GeolocationCoordinates inside any office's radius suggest 'office', elsewhere 'remote'; null when
+    // no offices are set or the fix is too vague to tell.
+    const fromPosition = (coords, offices) => {
+        if (!offices?.length || !coords || !(coords.accuracy <= MAX_ACCURACY_METERS)) return null;
+        return offices.some(office => distanceMeters(coords, office) <= office.radiusMeters) ? 'office' : 'remote';
+    };
+
+    HR.location = {
+        LABELS,
+        DEFAULT_SETTINGS,
+        DEFAULT_RADIUS_METERS,
+        normalize,
+        load,
+        validate,
+        fromNetwork,
+        distanceMeters,
+        fromPosition
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,107 @@
+// Enterprise HR Portal - Logging
+// Leveled logger that redacts secrets, stays quiet unless Debug mode is on, and keeps a ring buffer of
+// recent events for the diagnostics bundle (classic script, exposes HR.log).
+(function (HR) {
+    'use strict';
+
+    const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+    const QUIET_LEVEL = LEVELS.warn; // Lower levels only reach the console in Debug mode
+    const BUFFER_SIZE = 200;
+    const BUFFER_KEY = 'logBuffer'; // chrome.storage.session: survives worker restarts, not browser restarts
+    const REDACTED = '[redacted]';
+    const SECRET_KEYS = /^(token|access_?token|refresh_?token|id_?token|password|passwd|secret|client_?secret|authorization|cookie|set-cookie|api_?key)$/i;
+
+    let debugMode = false;
+    let persist = false;
+    let buffer = [];
+    let flushTimer = null;
+
+    // --- Redaction ---
+    const redactText = (text) => text
+        .replace(/Bearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`)
+        .replace(/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED) // JWTs
+        .replace(/([?&](?:access_token|refresh_token|token|password)=)[^&\s]+/gi, `$1${REDACTED}`);
+
+    // Deep copy of `value` safe to print or share: secret fields blanked, tokens removed from strings.
+    const redact = (value, depth = 0) => {
+        if (typeof value === 'string') return redactText(value);
+        if (value instanceof Error) {
+            return redact({ name: value.name, message: value.message, status: value.status, code: value.code }, depth);
+        }
+        if (!value || typeof value !== 'object') return value;
+        if (depth > 6) return '[truncated]';
+        if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, item]) => item !== undefined && typeof item !== 'function')
+            .map(([key, item]) => [key, SECRET_KEYS.test(key) ? REDACTED : redact(item, depth + 1)]));
+    };
+
+    // --- Ring Buffer ---
+    const scheduleFlush = () => {
+        if (!persist || flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            chrome.storage.session.set({ [BUFFER_KEY]: buffer }).catch(() => {});
+        }, 1000);
+    };
+
+    const write = (level, message, data) => {
+        const entry = { at: Date.now(), level, message: redactText(String(message)) };
+        if (data !== undefined) entry.data = redact(data);
+        buffer = [...buffer, entry].slice(-BUFFER_SIZE);
+        scheduleFlush();
+
+        if (LEVELS[level] < QUIET_LEVEL && !debugMode) return;
+        const method = level === 'debug' ? 'log' : level;
+        if (data === undefined) console[method](`[HR] ${entry.message}`);
+        else console[method](`[HR] ${entry.message}`, entry.data);
+    };
+
+    const entries = () => buffer.map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+
+    // --- Debug Mode ---
+    // Device-wide; every extension page and the worker follow changes as they happen. The portal content
+    // script has no storage access and passes the worker's `debugMode` instead.
+    let following = false;
+    const followDebugMode = (changes, area) => {
+        if (area === 'local' && changes.debugMode) debugMode = !!changes.debugMode.newValue;
+    };
+
+    const init = async ({ persistBuffer = false, debugMode: given } = {}) => {
+        persist = persistBuffer;
+        if (given !== undefined) {
+            debugMode = !!given;
+            return debugMode;
+        }
+
+        const data = await HR.storage.get('debugMode');
+        debugMode = !!data.debugMode;
+        if (!following) {
+            chrome.storage.onChanged.addListener(followDebugMode);
+            following = true;
+        }
+        if (persist) {
+            const saved = await chrome.storage.session.get(BUFFER_KEY);
+            buffer = [...(saved[BUFFER_KEY] || []), ...buffer].slice(-BUFFER_SIZE);
+        }
+        return debugMode;
+    };
+
+    const setDebugMode = async (enabled) => {
+        debugMode = !!enabled;
+        await HR.storage.set({ debugMode });
+        return debugMode;
+    };
+
+    HR.log = {
+        init,
+        setDebugMode,
+        isDebugMode: () => debugMode,
+        debug: (message, data) => write('debug', message, data),
+        info: (message, data) => write('info', message, data),
+        warn: (message, data) => write('warn', message, data),
+        error: (message, data) => write('error', message, data),
+        entries,
+        redact
+    };
+})(self.HR = self.HR || {});
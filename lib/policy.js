@@ -0,0 +1,125 @@
+// Enterprise HR Portal - Attendance Policy
+// Shared by the background worker, popup and options page (classic script, exposes HR.policy). Punch
+// checks need lib/attendance.js.
+(function (HR) {
+    'use strict';
+
+    // --- Defaults ---
+    const DEFAULT_POLICY = {
+        minStayMinutes: 120,       // Minimum time between Punch In and Punch Out
+        maxPunchesPerDay: 1,       // Punch In/Out pairs per attendance day (0 = unlimited)
+        dayBoundaryHour: 0,        // Hour at which a new attendance day starts (e.g. 6 for night shifts)
+        targetHours: 8,            // Target worked time (net of breaks) for reminders and the badge
+        breakReminderMinutes: 0,   // Suggest a break after this much continuous work (0 = off)
+        maxBreakMinutes: 60,       // Remind to end a break after this long (0 = off)
+        shiftStartMinutes: 570,    // Expected start of the working day, in minutes after midnight (09:30)
+        lateGraceMinutes: 10,      // Punch-ins within this long after the start still count as on time
+        requireWorkLocation: false // Punch In needs an Office / Remote tag
+    };
+
+    // Accepted range and server (snake_case) alias for each field
+    const FIELDS = {
+        minStayMinutes: { min: 0, max: 24 * 60, alias: 'min_stay_minutes' },
+        maxPunchesPerDay: { min: 0, max: 24, alias: 'max_punches_per_day' },
+        dayBoundaryHour: { min: 0, max: 23, alias: 'day_boundary_hour' },
+        targetHours: { min: 1, max: 24, alias: 'target_hours' },
+        breakReminderMinutes: { min: 0, max: 12 * 60, alias: 'break_reminder_minutes' },
+        maxBreakMinutes: { min: 0, max: 8 * 60, alias: 'max_break_minutes' },
+        shiftStartMinutes: { min: 0, max: 24 * 60 - 1, alias: 'shift_start_minutes' },
+        lateGraceMinutes: { min: 0, max: 4 * 60, alias: 'late_grace_minutes' }
+    };
+
+    // On/off fields; portals may send booleans, 0/1 or "true"/"false"
+    const FLAGS = {
+        requireWorkLocation: { alias: 'require_work_location' }
+    };
+
+    const toFlag = (value) => {
+        if (typeof value === 'boolean') return value;
+        if (value === 1 || value === 0) return value === 1;
+        const text = String(value).trim().toLowerCase();
+        if (text === 'true' || text === '1') return true;
+        if (text === 'false' || text === '0') return false;
+        return null;
+    };
+
+    // Keep only known, in-range numeric fields (and valid flags) so a partial or malformed policy can be layered safely.
+    const normalize = (raw) => {
+        const policy = {};
+        if (!raw || typeof raw !== 'object') return policy;
+
+        Object.entries(FIELDS).forEach(([key, { min, max, alias }]) => {
+            if (raw[key] === undefined && raw[alias] === undefined) return;
+            const value = Number(raw[key] ?? raw[alias]);
+            if (Number.isFinite(value) && value >= min && value <= max) policy[key] = value;
+        });
+        Object.entries(FLAGS).forEach(([key, { alias }]) => {
+            const value = toFlag(raw[key] ?? raw[alias]);
+            if (value !== null) policy[key] = value;
+        });
+        return policy;
+    };
+
+    // Effective policy: defaults, then the user's local settings, then the organisation's server policy.
+    const resolve = (localPolicy, serverPolicy) => ({
+        ...DEFAULT_POLICY,
+        ...normalize(localPolicy),
+        ...normalize(serverPolicy)
+    });
+
+    // `serverPolicy` belongs to the active portal profile
+    const load = async () => {
+        const data = await HR.storage.get(['policy', 'serverPolicy']);
+        return resolve(data.policy, data.serverPolicy);
+    };
+
+    // --- Derived Values ---
+    const minStayMs = (policy) => policy.minStayMinutes * 60000;
+    const targetMs = (policy) => policy.targetHours * 3600000;
+
+    // Day keys come from HR.attendance.dayKey, the same ones history grouping uses
+    const completedShifts = (history, policy, now = Date.now()) => {
+        const today = HR.attendance.dayKey(now, policy);
+        return (history || []).filter(item => {
+            const timestamp = HR.attendance.toTimestamp(item.timestamp);
+            return item.type === 'out' && timestamp !== null && HR.attendance.dayKey(timestamp, policy) === today;
+        }).length;
+    };
+
+    const isDayComplete = (history, policy, now = Date.now()) =>
+        policy.maxPunchesPerDay > 0 && completedShifts(history, policy, now) >= policy.maxPunchesPerDay;
+
+    // --- Enforcement ---
+    // Returns { allowed, type } or { allowed: false, reason, error } for the next punch, where `error` is the
+    // _locales message key; 'min-stay' refusals also carry `remainingMinutes` (the key's substitution).
+    // `workLocation` is the tag the punch would carry.
+    const checkPunch = ({ punchInTime, history, workLocation = null }, policy, now = Date.now()) => {
+        if (punchInTime) {
+            const remainingMs = minStayMs(policy) - (now - punchInTime);
+            if (remainingMs > 0) {
+                const remainingMinutes = Math.ceil(remainingMs / 60000);
+                return { allowed: false, type: 'out', reason: 'min-stay', error: 'policyMinStay', remainingMinutes };
+            }
+            return { allowed: true, type: 'out' };
+        }
+
+        if (isDayComplete(history, policy, now)) {
+            return { allowed: false, type: 'in', reason: 'day-complete', error: 'policyDayComplete' };
+        }
+        if (policy.requireWorkLocation && !workLocation) {
+            return { allowed: false, type: 'in', reason: 'location-required', error: 'policyLocationRequired' };
+        }
+        return { allowed: true, type: 'in' };
+    };
+
+    HR.policy = {
+        DEFAULT_POLICY,
+        normalize,
+        resolve,
+        load,
+        minStayMs,
+        targetMs,
+        isDayComplete,
+        checkPunch
+    };
+})(self.HR = self.HR || {});
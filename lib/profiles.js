@@ -0,0 +1,74 @@
+// Enterprise HR Portal - Portal Profiles
+// Tenants / environments the extension can talk to, and how per-profile storage keys are namespaced
+// (exposes HR.profiles; lib/storage.js reads and writes through it).
+(function (HR) {
+    'use strict';
+
+    const DEFAULT_PROFILE = {
+        id: 'default',
+        name: 'JSP Infotech',
+        baseUrl: 'https://hr-portal.jspinfotech.com/api/v1'
+    };
+
+    // Per-profile keys (the 'profile' scope in lib/storage.js): each tenant has its own session and punch
+    // state. Everything else (theme, profile list, local policy settings) is shared. The default profile
+    // keeps the original un-prefixed keys.
+    const SCOPED_KEYS = new Set(HR.storage.PROFILE_KEYS);
+
+    const scopedKey = (key, profileId) =>
+        (!SCOPED_KEYS.has(key) || profileId === DEFAULT_PROFILE.id ? key : `profile:${profileId}:${key}`);
+
+    // Inverse of scopedKey: { key, profileId } for a stored key (profileId null for shared keys)
+    const parseKey = (stored) => {
+        const match = stored.match(/^profile:([^:]+):(.+)$/);
+        if (match) return { key: match[2], profileId: match[1] };
+        return { key: stored, profileId: SCOPED_KEYS.has(stored) ? DEFAULT_PROFILE.id : null };
+    };
+
+    // Unprefixed names of the keys in a chrome.storage.onChanged `changes` object that concern profile
+    // `profileId`: its own scoped keys and the shared ones.
+    const keysFor = (changes, profileId) => Object.keys(changes)
+        .map(parseKey)
+        .filter(parsed => parsed.profileId === null || parsed.profileId === profileId)
+        .map(parsed => parsed.key);
+
+    // --- Profile List ---
+    const list = async () => {
+        const data = await HR.storage.get('profiles');
+        return [DEFAULT_PROFILE, ...data.profiles.filter(profile => profile.id !== DEFAULT_PROFILE.id)];
+    };
+
+    const getActive = async () => {
+        const data = await HR.storage.get('activeProfile');
+        const profiles = await list();
+        return profiles.find(profile => profile.id === data.activeProfile) || DEFAULT_PROFILE;
+    };
+
+    // Trimmed, no trailing slash, https (plain http only for local test servers). Null when invalid.
+    const normalizeBaseUrl = (value) => {
+        let url;
+        try {
+            url = new URL(String(value || '').trim());
+        } catch (e) {
+            return null;
+        }
+        const isLocal = ['localhost', '127.0.0.1'].includes(url.hostname);
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) return null;
+        return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    };
+
+    // Match pattern for chrome.permissions
+    const originPattern = (baseUrl) => `${new URL(baseUrl).origin}/*`;
+
+    HR.profiles = {
+        DEFAULT_PROFILE,
+        SCOPED_KEYS,
+        scopedKey,
+        parseKey,
+        keysFor,
+        list,
+        getActive,
+        normalizeBaseUrl,
+        originPattern
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,115 @@
+// Enterprise HR Portal - Attendance Requests
+// Regularization (corrected punch times) and leave requests: form validation and missed-punch days.
+// Shared by the background worker and popup (classic script, exposes HR.requests).
+(function (HR) {
+    'use strict';
+
+    const KIND_LABELS = {
+        regularization: 'Attendance correction',
+        leave: 'Leave'
+    };
+
+    const LEAVE_TYPES = {
+        casual: 'Casual leave',
+        sick: 'Sick leave',
+        earned: 'Earned leave',
+        unpaid: 'Unpaid leave'
+    };
+
+    const MAX_REASON_LENGTH = 500;
+
+    // --- Times ---
+    // Instant of an <input type="time"> value ("HH:MM") on attendance day `day` (YYYY-MM-DD). Times before
+    // the policy's day-boundary hour belong to the next calendar day (night shifts).
+    const timeOnDay = (day, value, policy) => {
+        const match = String(value || '').match(/^(\d{2}):(\d{2})$/);
+        if (!match) return null;
+
+        const hours = Number(match[1]);
+        const date = HR.attendance.fromDateKey(day);
+        if (hours < (policy?.dayBoundaryHour || 0)) date.setDate(date.getDate() + 1);
+        date.setHours(hours, Number(match[2]), 0, 0);
+        return date.getTime();
+    };
+
+    // Local "HH:MM" of a timestamp, for prefilling time inputs
+    const toTimeValue = (timestamp) => {
+        const date = new Date(timestamp);
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    };
+
+    // --- Validation ---
+    // Form draft { kind, day, punchIn, punchOut, leaveType, reason } (times as "HH:MM") to the request sent to
+    // the portal: { ok: true, request } with times in epoch ms, or { ok: false, error, errorArgs } where `error`
+    // is the _locales message key and `errorArgs` its substitution.
+    const fail = (error, errorArgs) => ({ ok: false, error, errorArgs });
+
+    const validate = (draft, { policy, now = Date.now() } = {}) => {
+        const reason = String(draft?.reason || '').trim();
+        if (!KIND_LABELS[draft?.kind]) return fail('requestKindMissing');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(draft.day || '')) return fail('requestDayMissing');
+        if (!reason) return fail('requestReasonMissing');
+        if (reason.length > MAX_REASON_LENGTH) return fail('requestReasonTooLong', MAX_REASON_LENGTH);
+
+        if (draft.kind === 'leave') {
+            if (!LEAVE_TYPES[draft.leaveType]) return fail('requestLeaveTypeMissing');
+            return {
+                ok: true,
+                request: { kind: 'leave', day: draft.day, punchIn: null, punchOut: null, leaveType: draft.leaveType, reason }
+            };
+        }
+
+        if (draft.day > HR.attendance.dayKey(now, policy)) {
+            return fail('requestFutureDay');
+        }
+        const punchIn = timeOnDay(draft.day, draft.punchIn, policy);
+        let punchOut = timeOnDay(draft.day, draft.punchOut, policy);
+        if (punchIn === null && punchOut === null) {
+            return fail('requestTimesMissing');
+        }
+        // Shift that runs past midnight
+        if (punchIn !== null && punchOut !== null && punchOut <= punchIn) {
+            const next = new Date(punchOut);
+            next.setDate(next.getDate() + 1);
+            punchOut = next.getTime();
+        }
+        if (Math.max(punchIn ?? 0, punchOut ?? 0) > now) {
+            return fail('requestFutureTime');
+        }
+
+        return {
+            ok: true,
+            request: { kind: 'regularization', day: draft.day, punchIn, punchOut, leaveType: null, reason }
+        };
+    };
+
+    // --- Missed Punches ---
+    // Days whose sessions lack a punch in or out, newest first: [{ day, punchIn, punchOut }] with the
+    // punches that are known (epoch ms or null). Days already covered by an open or approved
+    // correction are left out.
+    const missedPunchDays = (sessions, requests = []) => {
+        const covered = new Set((requests || [])
+            .filter(request => request.kind === 'regularization' && request.status !== 'rejected' &&
+                request.status !== 'cancelled')
+            .map(request => request.day));
+
+        const days = new Map();
+        (sessions || [])
+            .filter(session => (session.missingIn || session.missingOut) && !covered.has(session.day))
+            .forEach((session) => {
+                if (days.has(session.day)) return;
+                days.set(session.day, { day: session.day, punchIn: session.start, punchOut: session.out ? session.end : null });
+            });
+        return [...days.values()].sort((a, b) => (a.day < b.day ? 1 : -1));
+    };
+
+    HR.requests = {
+        KIND_LABELS,
+        LEAVE_TYPES,
+        MAX_REASON_LENGTH,
+        timeOnDay,
+        toTimeValue,
+        validate,
+        missedPunchDays
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,223 @@
+// Enterprise HR Portal - Storage
+// Every key the extension keeps in chrome.storage.local, with its scope and type, read and written through one
+// profile-aware store; schema versioning with migration steps, and a full reset (classic script, exposes
+// HR.storage). Load before lib/profiles.js, which takes its per-profile keys from the schema.
+(function (HR) {
+    'use strict';
+
+    // Bump with every change to stored shapes and add a step to MIGRATIONS that brings older data along.
+    const SCHEMA_VERSION = 3;
+
+    // scope 'profile': one copy per portal profile (namespaced by lib/profiles.js); 'device': shared.
+    // `type` is checked on every write (null clears a value like remove does); `fallback` fills reads.
+    const SCHEMA = {
+        // Session
+        token: { scope: 'profile', type: 'string' },
+        tokenExpiresAt: { scope: 'profile', type: 'number' },
+        refreshToken: { scope: 'profile', type: 'string' },
+        user: { scope: 'profile', type: 'object' },             // HR.api User + account (sign-in email)
+        savedCreds: { scope: 'profile', type: 'object' },       // Remember Me: { email }
+        // Punch state
+        punchInTime: { scope: 'profile', type: 'number' },
+        breakStartTime: { scope: 'profile', type: 'number' },
+        breakLog: { scope: 'profile', type: 'array', fallback: [] },
+        breakEndpoint: { scope: 'profile', type: 'boolean' },
+        history: { scope: 'profile', type: 'array', fallback: [] },
+        punchQueue: { scope: 'profile', type: 'array', fallback: [] },
+        serverPolicy: { scope: 'profile', type: 'object' },
+        clockOffset: { scope: 'profile', type: 'number' },
+        punchConflict: { scope: 'profile', type: 'object' },
+        dismissedConflict: { scope: 'profile', type: 'string' },
+        requests: { scope: 'profile', type: 'array', fallback: [] },
+        requestsEndpoint: { scope: 'profile', type: 'boolean' },
+        lastPunchInPrompt: { scope: 'profile', type: 'string' }, // Attendance day key
+        awayPeriod: { scope: 'profile', type: 'object' },
+        lastLocalPunchAt: { scope: 'profile', type: 'number' },
+        workLocation: { scope: 'profile', type: 'string' },
+        team: { scope: 'profile', type: 'object' },             // HR.api Team
+        teamEndpoint: { scope: 'profile', type: 'boolean' },
+        // Device
+        schemaVersion: { scope: 'device', type: 'number' },
+        theme: { scope: 'device', type: 'string', fallback: 'dark' },
+        policy: { scope: 'device', type: 'object' },
+        profiles: { scope: 'device', type: 'array', fallback: [] },
+        activeProfile: { scope: 'device', type: 'string' },
+        promptSettings: { scope: 'device', type: 'object' },
+        displayPreferences: { scope: 'device', type: 'object' },
+        debugMode: { scope: 'device', type: 'boolean' },
+        settingsSync: { scope: 'device', type: 'boolean' },
+        locationSettings: { scope: 'device', type: 'object' },
+        awaySince: { scope: 'device', type: 'number' }
+    };
+
+    const PROFILE_KEYS = Object.keys(SCHEMA).filter(key => SCHEMA[key].scope === 'profile');
+
+    const TYPES = {
+        string: value => typeof value === 'string',
+        number: value => typeof value === 'number' && Number.isFinite(value),
+        boolean: value => typeof value === 'boolean',
+        object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+        array: value => Array.isArray(value)
+    };
+
+    const entryFor = (key) => {
+        const entry = SCHEMA[key];
+        if (!entry) throw new TypeError(`Unknown storage key "${key}"`);
+        return entry;
+    };
+
+    const copy = (value) => (value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+    // --- Store ---
+    // Same shape as chrome.storage.local (get/set/remove). Profile keys resolve against the active profile.
+    const storedKeys = async (names) => {
+        names.forEach(entryFor);
+        const profileId = names.some(key => SCHEMA[key].scope === 'profile')
+            ? (await HR.profiles.getActive()).id
+            : null;
+        return names.map(key => HR.profiles.scopedKey(key, profileId));
+    };
+
+    const get = async (keys) => {
+        const names = typeof keys === 'string' ? [keys] : keys;
+        const stored = await storedKeys(names);
+        const raw = await chrome.storage.local.get(stored);
+
+        const result = {};
+        names.forEach((key, index) => {
+            if (stored[index] in raw) result[key] = raw[stored[index]];
+            else if ('fallback' in SCHEMA[key]) result[key] = copy(SCHEMA[key].fallback);
+        });
+        return result;
+    };
+
+    // null / undefined values are removed rather than stored
+    const set = async (items) => {
+        Object.entries(items).forEach(([key, value]) => {
+            const { type } = entryFor(key);
+            if (value !== null && value !== undefined && !TYPES[type](value)) {
+                throw new TypeError(`Storage key "${key}" expects ${type === 'array' ? 'an array' : `a ${type}`}`);
+            }
+        });
+
+        const names = Object.keys(items);
+        const stored = await storedKeys(names);
+        const updates = {};
+        const removals = [];
+        names.forEach((key, index) => {
+            if (items[key] === null || items[key] === undefined) removals.push(stored[index]);
+            else updates[stored[index]] = items[key];
+        });
+        if (Object.keys(updates).length) await chrome.storage.local.set(updates);
+        if (removals.length) await chrome.storage.local.remove(removals);
+    };
+
+    const remove = async (keys) => {
+        const names = typeof keys === 'string' ? [keys] : keys;
+        await chrome.storage.local.remove(await storedKeys(names));
+    };
+
+    // Everything a (removed) profile kept: its session, punch state and caches
+    const removeProfileData = async (profileId) => {
+        await chrome.storage.local.remove(PROFILE_KEYS.map(key => HR.profiles.scopedKey(key, profileId)));
+    };
+
+    // --- Migrations ---
+    // Each step sees the raw chrome.storage.local contents of every profile ({ stored key: value }) and
+    // returns { set, remove } for them. Steps run in order from the stored version up to SCHEMA_VERSION.
+    // Installs from before versioning count as version 1.
+    const MIGRATIONS = [
+        {
+            version: 2,
+            // Remember Me used to keep the password (later the refresh token) inside `savedCreds`; keep only
+            // the email, moving a refresh token to its own key.
+            migrate(raw) {
+                const changes = { set: {}, remove: [] };
+                Object.entries(raw).forEach(([stored, savedCreds]) => {
+                    const { key, profileId } = HR.profiles.parseKey(stored);
+                    if (key !== 'savedCreds' || !savedCreds || typeof savedCreds !== 'object') return;
+                    if (!('password' in savedCreds || 'refreshToken' in savedCreds)) return;
+
+                    const refreshKey = HR.profiles.scopedKey('refreshToken', profileId);
+                    if (savedCreds.refreshToken && !(refreshKey in raw)) {
+                        changes.set[refreshKey] = savedCreds.refreshToken;
+                    }
+                    changes.set[stored] = { email: savedCreds.email || '' };
+                });
+                return changes;
+            }
+        },
+        {
+            version: 3,
+            // Queued punches and breaks were matched to the user by `email`, which the portal profile can
+            // replace mid-session; they now carry the sign-in `account`, and so does the stored user. A
+            // profile's account is its Remember Me email, the one the next sign-in records, falling back to
+            // the stored user's email without one. Entries queued under the user's email get that account;
+            // anyone else's keep their own email as theirs.
+            migrate(raw) {
+                const changes = { set: {}, remove: [] };
+                const accountOf = (email) => (typeof email === 'string' && email.trim().toLowerCase()) || null;
+                const read = (key, profileId) => raw[HR.profiles.scopedKey(key, profileId)];
+                Object.entries(raw).forEach(([stored, value]) => {
+                    const { key, profileId } = HR.profiles.parseKey(stored);
+                    const userEmail = accountOf(read('user', profileId)?.email);
+                    const account = accountOf(read('savedCreds', profileId)?.email) || userEmail;
+                    const entryAccount = (email) =>
+                        (userEmail && accountOf(email) === userEmail ? account : accountOf(email));
+                    if ((key === 'punchQueue' || key === 'breakLog') && Array.isArray(value)) {
+                        changes.set[stored] = value.map(({ email, ...entry }) =>
+                            ({ ...entry, account: entry.account || entryAccount(email) }));
+                    } else if (key === 'user' && value && typeof value === 'object' && !value.account) {
+                        changes.set[stored] = { ...value, account };
+                    }
+                });
+                return changes;
+            }
+        }
+    ];
+
+    // onInstalled (service worker): a fresh install starts at the current version; an update runs the steps
+    // it missed. Resolves { from, to }. Data from a newer version (a downgrade) is left alone.
+    const migrate = async ({ reason } = {}) => {
+        const { schemaVersion } = await chrome.storage.local.get('schemaVersion');
+        if (reason === 'install' && !schemaVersion) {
+            await chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION });
+            return { from: SCHEMA_VERSION, to: SCHEMA_VERSION };
+        }
+
+        const from = schemaVersion || 1;
+        if (from > SCHEMA_VERSION) {
+            HR.log.warn(`Stored data is schema version ${from}, newer than this version's ${SCHEMA_VERSION}`);
+            return { from, to: from };
+        }
+
+        for (const step of MIGRATIONS.filter(item => item.version > from)) {
+            const raw = await chrome.storage.local.get(null);
+            const changes = step.migrate(raw);
+            if (changes.remove?.length) await chrome.storage.local.remove(changes.remove);
+            await chrome.storage.local.set({ ...changes.set, schemaVersion: step.version });
+            HR.log.info(`Storage migrated to schema version ${step.version}`);
+        }
+        return { from, to: SCHEMA_VERSION };
+    };
+
+    // --- Reset ---
+    // Back to a fresh install: every profile's session, punches (queued ones included) and caches, and all
+    // settings. Copies in chrome.storage.sync stay for other computers.
+    const reset = async () => {
+        await chrome.storage.local.clear();
+        await chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION });
+    };
+
+    HR.storage = {
+        SCHEMA_VERSION,
+        SCHEMA,
+        PROFILE_KEYS,
+        get,
+        set,
+        remove,
+        removeProfileData,
+        migrate,
+        reset
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,39 @@
+// Enterprise HR Portal - Team Presence
+// A manager's view of their reports: live worked time and late / missing punch flags against the
+// attendance policy (classic script, exposes HR.team).
+(function (HR) {
+    'use strict';
+
+    // TeamMember (lib/api.js) as of `now`. Running shifts keep counting from the snapshot (`fetchedAt`), and:
+    //   late: today's first punch in came after the shift start plus grace (the portal's own flag wins),
+    //   missingIn: a working day past the grace period with no punch in yet,
+    //   missingOut: still punched in from an earlier attendance day.
+    const presence = (member, policy, { fetchedAt, now = Date.now() }) => {
+        const today = HR.attendance.dayKey(now, policy);
+        const shiftDay = member.punchInTime ? HR.attendance.dayKey(member.punchInTime, policy) : null;
+        const firstIn = member.firstPunchInTime ?? (shiftDay === today ? member.punchInTime : null);
+        const startedToday = firstIn !== null && HR.attendance.dayKey(firstIn, policy) === today;
+        const graceOver = HR.analytics.isLate({ day: today, firstIn: now }, policy);
+
+        return {
+            ...member,
+            workedMs: member.workedMs + (member.isPunchedIn && !member.onBreak ? Math.max(0, now - fetchedAt) : 0),
+            late: member.late ?? (startedToday && HR.analytics.isLate({ day: today, firstIn }, policy)),
+            missingIn: !member.isPunchedIn && !startedToday && member.workedMs === 0 && graceOver &&
+                HR.analytics.isWorkingDay(HR.attendance.fromDateKey(today)),
+            missingOut: member.isPunchedIn && shiftDay !== null && shiftDay < today
+        };
+    };
+
+    // Headline counts for the panel
+    const summarize = (members) => ({
+        total: members.length,
+        punchedIn: members.filter(member => member.isPunchedIn).length,
+        flagged: members.filter(member => member.late || member.missingIn || member.missingOut).length
+    });
+
+    HR.team = {
+        presence,
+        summarize
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,137 @@
+// Enterprise HR Portal - Server Time
+// Parses portal timestamps (epoch, ISO, wall-clock times) and estimates clock skew (exposes HR.time).
+(function (HR) {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // A wall-clock time this far ahead of "now" belongs to the previous day (shift started before midnight)
+    const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+    // --- Time Zones ---
+    // Offset (ms, east of UTC) of `timeZone` at instant `at`. Accepts "+05:30", "Z"/"UTC" or an IANA name.
+    const zoneOffsetMs = (timeZone, at = Date.now()) => {
+        if (!timeZone) return -new Date(at).getTimezoneOffset() * 60000;
+        if (/^(z|utc|gmt)$/i.test(timeZone)) return 0;
+
+        const fixed = String(timeZone).match(/^([+-])(\d{2}):?(\d{2})$/);
+        if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3])) * 60000;
+
+        try {
+            const wall = wallClockIn(at, timeZone);
+            const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hours, wall.minutes, wall.seconds);
+            return Math.round((asUtc - Math.floor(at / 1000) * 1000) / 60000) * 60000;
+        } catch (e) {
+            return -new Date(at).getTimezoneOffset() * 60000; // Unknown zone name
+        }
+    };
+
+    // Calendar date and clock reading at instant `at` in `timeZone` (local time when omitted).
+    const wallClockIn = (at, timeZone) => {
+        if (!timeZone || /^[+-]\d{2}:?\d{2}$|^(z|utc|gmt)$/i.test(timeZone)) {
+            const shifted = new Date(at + (timeZone ? zoneOffsetMs(timeZone, at) : 0));
+            const get = (local, utc) => (timeZone ? shifted[utc]() : shifted[local]());
+            return {
+                year: get('getFullYear', 'getUTCFullYear'),
+                month: get('getMonth', 'getUTCMonth') + 1,
+                day: get('getDate', 'getUTCDate'),
+                hours: get('getHours', 'getUTCHours'),
+                minutes: get('getMinutes', 'getUTCMinutes'),
+                seconds: get('getSeconds', 'getUTCSeconds')
+            };
+        }
+
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(new Date(at)).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hours: parts.hour % 24,
+            minutes: parts.minute,
+            seconds: parts.second
+        };
+    };
+
+    // Instant of a wall-clock reading in `timeZone`; re-checked once so DST transitions land correctly.
+    const fromWallClock = ({ year, month, day, hours = 0, minutes = 0, seconds = 0 }, timeZone) => {
+        if (!timeZone) return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+
+        const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        const guess = asUtc - zoneOffsetMs(timeZone, asUtc);
+        return asUtc - zoneOffsetMs(timeZone, guess);
+    };
+
+    // --- Parsing ---
+    const TIME_ONLY = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i;
+    const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+    // Epoch ms/seconds, ISO strings (with or without an offset) and bare times such as "10:16:29 AM".
+    // Values without an explicit offset are read in the portal's `timeZone` (local time when unknown);
+    // a bare time is placed on the portal's current day, or the day before if that would be in the future.
+    const parseServerTime = (value, { now = Date.now(), timeZone = null } = {}) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return parseServerTime(Number(text));
+
+        const clock = text.match(TIME_ONLY);
+        if (clock) {
+            let hours = Number(clock[1]);
+            const meridiem = clock[4]?.toUpperCase();
+            if (meridiem === 'PM' && hours < 12) hours += 12;
+            if (meridiem === 'AM' && hours === 12) hours = 0;
+
+            const today = wallClockIn(now, timeZone);
+            const time = { hours, minutes: Number(clock[2]), seconds: Number(clock[3] || 0) };
+            const timestamp = fromWallClock({ ...today, ...time }, timeZone);
+            if (timestamp <= now + FUTURE_TOLERANCE_MS) return timestamp;
+
+            const yesterday = wallClockIn(now - DAY_MS, timeZone);
+            return fromWallClock({ ...yesterday, ...time }, timeZone);
+        }
+
+        const dated = text.match(DATE_TIME);
+        if (dated) {
+            const [, year, month, day, hours, minutes, seconds, offset] = dated;
+            return fromWallClock({
+                year: Number(year),
+                month: Number(month),
+                day: Number(day),
+                hours: Number(hours || 0),
+                minutes: Number(minutes || 0),
+                seconds: Number(seconds || 0)
+            }, offset || timeZone);
+        }
+
+        // Anything else Date understands (e.g. RFC 2822 strings)
+        const parsed = Date.parse(text);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    // --- Clock Skew ---
+    // Server clock minus local clock, from an HTTP `Date` header and the request's round trip.
+    // The header is truncated to whole seconds, so its midpoint is assumed.
+    const estimateOffset = (serverDate, sentAt, receivedAt) => {
+        const serverTime = typeof serverDate === 'number' ? serverDate : Date.parse(serverDate);
+        if (isNaN(serverTime)) return null;
+        return serverTime + 500 - (sentAt + receivedAt) / 2;
+    };
+
+    HR.time = {
+        zoneOffsetMs,
+        parseServerTime,
+        estimateOffset
+    };
+})(self.HR = self.HR || {});
@@ -0,0 +1,135 @@
+// Enterprise HR Portal - Mock Server Flow Tests
+// Drives the extension's portal client (lib/api.js) against the mock server: sign-in, punches, status and
+// history, and the portal's refusals. Plain Node (18+), no dependencies:
+//
+//   npm test                               (also runs test/*.test.js)
+//
+// Each run starts its own server on a spare port, once per response shape (flat and `data`-wrapped).
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// --- Extension Modules ---
+// The libs are classic scripts that attach to self.HR
+globalThis.self = globalThis;
+['lib/time.js', 'lib/api.js'].forEach((file) => {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInThisContext(source, { filename: file });
+});
+const { HR } = globalThis;
+
+// --- Server ---
+const startServer = (env) => new Promise((resolve, reject) => {
+    const port = 40000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: { ...process.env, MOCK_PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Mock server exited (${code})`)));
+    child.stdout.on('data', (chunk) => {
+        if (String(chunk).includes('Mock HR server')) resolve({ child, origin: `http://localhost:${port}` });
+    });
+});
+
+const stopServer = (child) => new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    child.once('exit', resolve);
+    child.kill();
+});
+
+// A client holding its own session, like the worker does
+const signedInClient = async (baseUrl, email) => {
+    let token = null;
+    const client = HR.api.createClient({ baseUrl, getToken: async () => token });
+    const session = await client.login({ email, password: 'password123' });
+    token = session.token;
+    return { client, session };
+};
+
+// --- Flows ---
+['flat', 'nested'].forEach((shape) => {
+    describe(`mock portal (${shape} responses)`, () => {
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            server = await startServer({ MOCK_SHAPE: shape });
+            baseUrl = `${server.origin}/api/v1`;
+        });
+
+        after(() => stopServer(server.child));
+
+        test('refuses a wrong password', async () => {
+            const client = HR.api.createClient({ baseUrl });
+            await assert.rejects(client.login({ email: 'rahul@example.com', password: 'wrong' }), (e) => {
+                assert.ok(e instanceof HR.api.AuthError);
+                assert.equal(e.code, 'invalid-credentials');
+                return true;
+            });
+        });
+
+        test('signs in, punches in and out, and reports status and history', async () => {
+            const { client, session } = await signedInClient(baseUrl, 'rahul@example.com');
+            assert.equal(typeof session.token, 'string');
+            assert.equal(session.user.name, 'Rahul Mehta');
+
+            const me = await client.me();
+            assert.equal(me.email, 'rahul.mehta@example.com');
+
+            let status = await client.status();
+            assert.equal(status.isPunchedIn, false);
+            assert.equal(status.punchInTime, null);
+
+            const punchInTime = Math.floor(Date.now() / 1000) * 1000 - 3 * 3600000;
+            const punchedIn = await client.punch({ type: 'in', timestamp: punchInTime, workLocation: 'office' });
+            assert.equal(punchedIn.message, 'Punched in');
+
+            status = await client.status();
+            assert.equal(status.isPunchedIn, true);
+            assert.equal(status.punchInTime, punchInTime);
+
+            await client.punch({ type: 'out', timestamp: Date.now() });
+            status = await client.status();
+            assert.equal(status.isPunchedIn, false);
+
+            const { entries } = await client.history();
+            assert.deepEqual(entries.map(entry => entry.type).sort(), ['in', 'out']);
+            const punchIn = entries.find(entry => entry.type === 'in');
+            assert.equal(punchIn.timestamp, punchInTime);
+            assert.equal(punchIn.workLocation, 'office');
+        });
+
+        test('rejects a duplicate punch', async () => {
+            const { client } = await signedInClient(baseUrl, 'meera@example.com');
+            await client.punch({ type: 'in', timestamp: Date.now() });
+
+            await assert.rejects(client.punch({ type: 'in', timestamp: Date.now() }), (e) => {
+                assert.ok(e instanceof HR.api.RejectedError);
+                assert.equal(e.retryable, false);
+                assert.match(e.message, /Already punched in/);
+                return true;
+            });
+            const { entries } = await client.history();
+            assert.equal(entries.filter(entry => entry.type === 'in').length, 1);
+        });
+
+        test('ends the session when the token is no longer accepted', async () => {
+            let expired = false;
+            const client = HR.api.createClient({
+                baseUrl,
+                getToken: async () => 'not-a-token',
+                onSessionExpired: async () => {
+                    expired = true;
+                }
+            });
+            await assert.rejects(client.status(), HR.api.AuthError);
+            assert.equal(expired, true);
+        });
+    });
+});
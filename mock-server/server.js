@@ -0,0 +1,643 @@
+// Enterprise HR Portal - Mock HR Server
+// Local stand-in for the portal API so login, status, punch and history flows can be exercised
+// without the real portal. Plain Node (18+), no dependencies:
+//
+//   node mock-server/server.js            -> http://localhost:4010/api/v1
+//
+// Add http://localhost:4010/api/v1 as a portal profile in the extension's settings. Fixtures live in
+// ./fixtures; the /__mock/* endpoints reset state and inject failures for scripted runs. A bare-bones web
+// portal under /portal (cookie sign-in, attendance page) exercises the extension's content script.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Configuration ---
+const PORT = Number(process.env.MOCK_PORT) || 4010;
+const API_PREFIX = '/api/v1';
+const TOKEN_TTL_SECONDS = Number(process.env.MOCK_TOKEN_TTL) || 3600;
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS) || 0;
+// 'flat' answers like the production portal; 'nested' wraps payloads in `data` (both are normalized by lib/api.js)
+const SHAPE = process.env.MOCK_SHAPE === 'nested' ? 'nested' : 'flat';
+// Server clock ahead of (or behind, when negative) the machine's, to exercise skew correction
+const CLOCK_SKEW_MS = Number(process.env.MOCK_CLOCK_SKEW_MS) || 0;
+const TIME_ZONE = process.env.MOCK_TIMEZONE || 'Asia/Kolkata';
+// 'iso' or 'clock' (a bare "10:16:29 AM" in TIME_ZONE, like older portal versions)
+const PUNCH_TIME_FORMAT = process.env.MOCK_PUNCH_TIME_FORMAT === 'clock' ? 'clock' : 'iso';
+// MOCK_BREAKS=off answers /punch/break with 404, like portals that don't record breaks
+const BREAKS_ENABLED = process.env.MOCK_BREAKS !== 'off';
+const WORK_LOCATIONS = ['office', 'remote'];
+
+const serverNow = () => Date.now() + CLOCK_SKEW_MS;
+
+const formatPunchTime = (timestamp) => {
+    if (PUNCH_TIME_FORMAT === 'iso') return new Date(timestamp).toISOString();
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        hour: 'numeric',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: true
+    }).format(new Date(timestamp));
+};
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+// --- State ---
+let state;
+
+const reset = () => {
+    const history = loadFixture('history');
+    state = {
+        users: loadFixture('users'),
+        policy: loadFixture('policy'),
+        history: Object.fromEntries(Object.entries(history).map(([email, entries]) => [
+            email,
+            entries.map((entry, index) => ({ id: index + 1, ...entry }))
+        ])),
+        requests: loadFixture('requests'),
+        tokens: new Map(),        // access token -> { email, expiresAt }
+        refreshTokens: new Map(), // refresh token -> email
+        webSessions: new Map(),   // web portal session cookie -> email
+        failures: []              // [{ path, status, remaining }]
+    };
+};
+
+const issueTokens = (email) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    const refreshToken = crypto.randomBytes(24).toString('hex');
+    state.tokens.set(token, { email, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+    state.refreshTokens.set(refreshToken, email);
+    return { token, refresh_token: refreshToken, expires_in: TOKEN_TTL_SECONDS };
+};
+
+const findUser = (email) => state.users.find(user => user.email === email);
+
+const historyOf = (email) => {
+    if (!state.history[email]) state.history[email] = [];
+    return state.history[email];
+};
+
+// Latest punch ("in" / "out"), ignoring break markers
+const lastEntry = (email) => historyOf(email).filter(entry => entry.type === 'in' || entry.type === 'out').pop() || null;
+
+// Break markers are stored the way the portal spells them
+const BREAK_TYPES = { start: 'break_start', end: 'break_end' };
+
+const onBreak = (email) => {
+    const breaks = historyOf(email).filter(entry => entry.type === BREAK_TYPES.start || entry.type === BREAK_TYPES.end);
+    return breaks.length > 0 && breaks[breaks.length - 1].type === BREAK_TYPES.start;
+};
+
+const reportsOf = (email) => state.users.filter(user => user.manager === email);
+
+// Today's presence of one user, as the team endpoint reports it (worked time net of breaks)
+const presenceOf = (user) => {
+    const now = serverNow();
+    const today = dateKey(now);
+    const entries = historyOf(user.email).filter(entry => dateKey(entry.timestamp) === today);
+    const last = lastEntry(user.email);
+    const isPunchedIn = last?.type === 'in';
+    const firstIn = entries.find(entry => entry.type === 'in');
+
+    let workedMs = 0;
+    let since = null;
+    entries.forEach((entry) => {
+        const at = Date.parse(entry.timestamp);
+        if (entry.type === 'in' || entry.type === BREAK_TYPES.end) since = at;
+        if ((entry.type === 'out' || entry.type === BREAK_TYPES.start) && since !== null) {
+            workedMs += at - since;
+            since = null;
+        }
+    });
+    // A shift still running counts up to now (from midnight when it started yesterday)
+    if (isPunchedIn && !onBreak(user.email)) workedMs += now - (since ?? new Date(now).setHours(0, 0, 0, 0));
+
+    return {
+        id: user.id,
+        name: user.name,
+        business_email: user.business_email,
+        is_punched_in: isPunchedIn,
+        punch_in_time: isPunchedIn ? formatPunchTime(last.timestamp) : null,
+        first_punch_in: firstIn ? new Date(firstIn.timestamp).toISOString() : null,
+        worked_minutes: Math.round(workedMs / 60000),
+        on_break: isPunchedIn && onBreak(user.email),
+        work_location: isPunchedIn ? last.work_location || null : null
+    };
+};
+
+const requestsOf = (email) => {
+    if (!state.requests[email]) state.requests[email] = [];
+    return state.requests[email];
+};
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const LEAVE_TYPES = ['casual', 'sick', 'earned', 'unpaid'];
+
+// --- HTTP Helpers ---
+const send = (res, status, payload) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Date': new Date(serverNow()).toUTCString(),
+        'Access-Control-Expose-Headers': 'Date',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Accept, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(JSON.stringify(payload));
+};
+
+// Success payloads honour MOCK_SHAPE; errors always stay flat like the real portal.
+const ok = (res, payload) => send(res, 200, SHAPE === 'nested' ? { status: 'success', data: payload } : payload);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+// Form fields from multipart/form-data (what the extension's FormData sends), urlencoded or JSON bodies.
+const parseFields = (req, body) => {
+    const type = req.headers['content-type'] || '';
+    if (type.includes('application/json')) {
+        try {
+            return JSON.parse(body || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+    if (type.includes('multipart/form-data')) {
+        const boundary = (type.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+        const fields = {};
+        if (!boundary) return fields;
+        body.split(`--${boundary}`).forEach((part) => {
+            const match = part.match(/name="([^"]+)"[^\r\n]*\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*)\r\n$/);
+            if (match) fields[match[1]] = match[2];
+        });
+        return fields;
+    }
+    return Object.fromEntries(new URLSearchParams(body));
+};
+
+// The web portal's session cookie, and the email behind it (null when signed out)
+const sessionCookie = (req) => ((req.headers.cookie || '').match(/(?:^|;\s*)hr_session=([^;]+)/) || [])[1] || null;
+const cookieEmail = (req) => state.webSessions.get(sessionCookie(req)) || null;
+
+const bearerEmail = (req) => {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    const session = match && state.tokens.get(match[1]);
+    if (!session || session.expiresAt < Date.now()) return null;
+    return session.email;
+};
+
+// Server-local calendar date as YYYY-MM-DD
+const dateKey = (timestamp) => {
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// --- Routes ---
+const publicRoutes = {
+    'GET /health': (req, res) => send(res, 200, { status: 'ok' }),
+
+    'GET /time': (req, res) => ok(res, { now: new Date(serverNow()).toISOString(), timezone: TIME_ZONE }),
+
+    'POST /login': (req, res, fields) => {
+        const user = findUser(fields.email);
+        if (!user || user.password !== fields.password) {
+            send(res, 401, { status: 'error', message: 'Invalid email or password' });
+            return;
+        }
+        ok(res, { ...issueTokens(user.email), user: { name: user.name, email: user.email } });
+    },
+
+    // The web portal's cookie session traded for extension tokens ("Connect extension" on portal pages)
+    'POST /session/token': (req, res) => {
+        const email = cookieEmail(req);
+        if (!email) {
+            send(res, 401, { status: 'error', message: 'Not signed in to the portal' });
+            return;
+        }
+        const user = findUser(email);
+        ok(res, { ...issueTokens(email), user: { name: user.name, email: user.email } });
+    },
+
+    'POST /refresh': (req, res, fields) => {
+        const email = state.refreshTokens.get(fields.refresh_token);
+        if (!email) {
+            send(res, 401, { status: 'error', message: 'Refresh token expired' });
+            return;
+        }
+        // Refresh tokens rotate: the old one is spent
+        state.refreshTokens.delete(fields.refresh_token);
+        ok(res, issueTokens(email));
+    }
+};
+
+const authedRoutes = {
+    'POST /logout': (req, res, fields, email) => {
+        const token = req.headers.authorization.slice('Bearer '.length);
+        state.tokens.delete(token);
+        state.refreshTokens.forEach((owner, refreshToken) => {
+            if (owner === email) state.refreshTokens.delete(refreshToken);
+        });
+        ok(res, { message: 'Logged out' });
+    },
+
+    'GET /me': (req, res, fields, email) => {
+        const user = findUser(email);
+        ok(res, {
+            user: {
+                id: user.id,
+                name: user.name,
+                business_email: user.business_email,
+                reports_count: reportsOf(email).length
+            }
+        });
+    },
+
+    // Managers only: each direct report's punch state and worked time today
+    'GET /team/status': (req, res, fields, email) => {
+        const reports = reportsOf(email);
+        if (!reports.length) {
+            send(res, 403, { status: 'error', message: 'No reports' });
+            return;
+        }
+        ok(res, { members: reports.map(presenceOf), timezone: TIME_ZONE });
+    },
+
+    'GET /user/status': (req, res, fields, email) => {
+        const last = lastEntry(email);
+        const isPunchedIn = last?.type === 'in';
+        ok(res, {
+            isPunchedIn,
+            punchInTime: isPunchedIn ? formatPunchTime(last.timestamp) : null,
+            timezone: TIME_ZONE
+        });
+    },
+
+    'POST /punch/action': (req, res, fields, email) => {
+        const type = String(fields.type || '').toLowerCase();
+        if (type !== 'in' && type !== 'out') {
+            send(res, 422, { status: 'error', message: 'Punch type must be "in" or "out"' });
+            return;
+        }
+
+        const isPunchedIn = lastEntry(email)?.type === 'in';
+        if (type === 'in' && isPunchedIn) {
+            send(res, 422, { status: 'error', message: 'Already punched in' });
+            return;
+        }
+        if (type === 'out' && !isPunchedIn) {
+            send(res, 422, { status: 'error', message: 'Not punched in' });
+            return;
+        }
+
+        // Optional Office / Remote tag; the policy's `require_work_location` makes it mandatory for punch-ins
+        const location = String(fields.work_location || '').toLowerCase();
+        if (location && !WORK_LOCATIONS.includes(location)) {
+            send(res, 422, { status: 'error', message: 'Work location must be "office" or "remote"' });
+            return;
+        }
+        if (type === 'in' && !location && state.policy.require_work_location) {
+            send(res, 422, { status: 'error', message: 'Work location is required to punch in' });
+            return;
+        }
+
+        // The extension sends the real punch time in epoch seconds (offline punches arrive late)
+        const seconds = Number(fields.timestamp);
+        const timestamp = new Date(seconds > 0 ? seconds * 1000 : serverNow()).toISOString();
+        const entries = historyOf(email);
+        entries.push({ id: entries.length + 1, type, timestamp, ...(location ? { work_location: location } : {}) });
+        send(res, 200, { status: 'success', message: type === 'in' ? 'Punched in' : 'Punched out' });
+    },
+
+    'POST /punch/break': (req, res, fields, email) => {
+        if (!BREAKS_ENABLED) {
+            send(res, 404, { status: 'error', message: 'Not found' });
+            return;
+        }
+
+        const type = String(fields.type || '').toLowerCase();
+        if (!BREAK_TYPES[type]) {
+            send(res, 422, { status: 'error', message: 'Break type must be "start" or "end"' });
+            return;
+        }
+        if (lastEntry(email)?.type !== 'in') {
+            send(res, 422, { status: 'error', message: 'Not punched in' });
+            return;
+        }
+        if ((type === 'start') === onBreak(email)) {
+            send(res, 422, { status: 'error', message: type === 'start' ? 'Already on a break' : 'No break in progress' });
+            return;
+        }
+
+        const seconds = Number(fields.timestamp);
+        const entries = historyOf(email);
+        entries.push({
+            id: entries.length + 1,
+            type: BREAK_TYPES[type],
+            timestamp: new Date(seconds > 0 ? seconds * 1000 : serverNow()).toISOString()
+        });
+        send(res, 200, { status: 'success', message: type === 'start' ? 'Break started' : 'Break ended' });
+    },
+
+    // Newest first; `page` / `per_page` switch on pagination metadata, `from` / `to` filter by date.
+    'GET /punch/history': (req, res, fields, email, query) => {
+        const from = query.get('from');
+        const to = query.get('to');
+        const entries = historyOf(email)
+            .filter((entry) => {
+                const key = dateKey(entry.timestamp);
+                return (!from || key >= from) && (!to || key <= to);
+            })
+            .slice()
+            .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+        if (!query.has('page')) {
+            ok(res, { history: entries });
+            return;
+        }
+
+        const page = Math.max(1, Number(query.get('page')) || 1);
+        const perPage = Math.max(1, Number(query.get('per_page')) || 50);
+        const lastPage = Math.max(1, Math.ceil(entries.length / perPage));
+        ok(res, {
+            history: entries.slice((page - 1) * perPage, page * perPage),
+            meta: { current_page: page, per_page: perPage, last_page: lastPage, total: entries.length }
+        });
+    },
+
+    'GET /attendance/policy': (req, res) => ok(res, { policy: state.policy }),
+
+    'GET /attendance/requests': (req, res, fields, email) => ok(res, { requests: requestsOf(email) }),
+
+    // Regularization (`punch_in` / `punch_out` in epoch seconds) or leave (`leave_type`); filed as pending.
+    'POST /attendance/requests': (req, res, fields, email) => {
+        const type = String(fields.type || '').toLowerCase();
+        if (type !== 'regularization' && type !== 'leave') {
+            send(res, 422, { status: 'error', message: 'Request type must be "regularization" or "leave"' });
+            return;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.date || '') || !String(fields.reason || '').trim()) {
+            send(res, 422, { status: 'error', message: 'A date and a reason are required' });
+            return;
+        }
+        if (type === 'leave' && !LEAVE_TYPES.includes(fields.leave_type)) {
+            send(res, 422, { status: 'error', message: `Leave type must be one of ${LEAVE_TYPES.join(', ')}` });
+            return;
+        }
+        if (type === 'regularization' && !fields.punch_in && !fields.punch_out) {
+            send(res, 422, { status: 'error', message: 'A corrected punch-in or punch-out time is required' });
+            return;
+        }
+
+        const requests = requestsOf(email);
+        const duplicate = requests.find(item => item.type === type && item.date === fields.date && item.status === 'pending');
+        if (duplicate) {
+            send(res, 422, { status: 'error', message: `A pending ${type} request for ${fields.date} already exists` });
+            return;
+        }
+
+        const toIso = (seconds) => (Number(seconds) > 0 ? new Date(Number(seconds) * 1000).toISOString() : null);
+        const request = {
+            id: Math.max(0, ...Object.values(state.requests).flat().map(item => item.id)) + 1,
+            type,
+            date: fields.date,
+            punch_in: toIso(fields.punch_in),
+            punch_out: toIso(fields.punch_out),
+            leave_type: type === 'leave' ? fields.leave_type : null,
+            reason: String(fields.reason).trim(),
+            status: 'pending',
+            comment: '',
+            created_at: new Date(serverNow()).toISOString()
+        };
+        requests.unshift(request);
+        ok(res, { message: 'Request submitted', request });
+    }
+};
+
+// --- Web Portal ---
+// Just enough of the portal's own pages for the content script: a cookie sign-in and an attendance page
+// with a server-rendered Punch In / Punch Out button.
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
+
+const sendPage = (res, title, body) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(title)} - Mock HR Portal</title></head>
+<body style="font-family: sans-serif; margin: 2rem;">
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`);
+};
+
+const redirect = (res, location, headers = {}) => {
+    res.writeHead(303, { Location: location, ...headers });
+    res.end();
+};
+
+const webRoutes = {
+    'GET /portal': (req, res) => redirect(res, cookieEmail(req) ? '/portal/attendance' : '/portal/login'),
+
+    'GET /portal/login': (req, res) => sendPage(res, 'Sign in', `
+<form method="post" action="/portal/login">
+  <p><label>Email <input name="email" type="email" value="asha@example.com"></label></p>
+  <p><label>Password <input name="password" type="password" value="password123"></label></p>
+  <button type="submit">Sign in</button>
+</form>`),
+
+    'POST /portal/login': (req, res, fields) => {
+        const user = findUser(fields.email);
+        if (!user || user.password !== fields.password) {
+            redirect(res, '/portal/login');
+            return;
+        }
+        const sessionId = crypto.randomBytes(24).toString('hex');
+        state.webSessions.set(sessionId, user.email);
+        redirect(res, '/portal/attendance', { 'Set-Cookie': `hr_session=${sessionId}; Path=/; HttpOnly; SameSite=Lax` });
+    },
+
+    'POST /portal/logout': (req, res) => {
+        state.webSessions.delete(sessionCookie(req));
+        redirect(res, '/portal/login', { 'Set-Cookie': 'hr_session=; Path=/; Max-Age=0' });
+    },
+
+    'GET /portal/attendance': (req, res) => {
+        const email = cookieEmail(req);
+        if (!email) {
+            redirect(res, '/portal/login');
+            return;
+        }
+        const last = lastEntry(email);
+        const isPunchedIn = last?.type === 'in';
+        sendPage(res, 'Attendance', `
+<p>Signed in as ${escapeHtml(findUser(email).name)}.</p>
+<p>${isPunchedIn ? `Punched in at ${escapeHtml(new Date(last.timestamp).toLocaleString())}` : 'Not punched in'}</p>
+<form method="post" action="/portal/punch">
+  <button type="submit">${isPunchedIn ? 'Punch Out' : 'Punch In'}</button>
+</form>
+<form method="post" action="/portal/logout"><button type="submit">Sign out</button></form>`);
+    },
+
+    // The portal UI's own punch: toggles, like a user clicking the button on the attendance page
+    'POST /portal/punch': (req, res) => {
+        const email = cookieEmail(req);
+        if (!email) {
+            redirect(res, '/portal/login');
+            return;
+        }
+        const entries = historyOf(email);
+        const type = lastEntry(email)?.type === 'in' ? 'out' : 'in';
+        entries.push({ id: entries.length + 1, type, timestamp: new Date(serverNow()).toISOString() });
+        redirect(res, '/portal/attendance');
+    }
+};
+
+// --- Test Controls ---
+// POST /__mock/reset                          reload fixtures, drop all sessions
+// POST /__mock/fail   {"path","status","count"} answer the next `count` requests to `path` with `status`
+// POST /__mock/expire-tokens                  expire every access token (refresh tokens stay valid)
+// POST /__mock/punch  {"email","type","timestamp","work_location"} record a punch made outside the extension
+//                                          (epoch seconds; work_location optional)
+// POST /__mock/decide {"id","status","comment"} approve / reject an attendance request
+// GET  /__mock/state                          current punches and session counts
+const controlRoutes = {
+    'POST /__mock/reset': (req, res) => {
+        reset();
+        send(res, 200, { ok: true });
+    },
+
+    'POST /__mock/fail': (req, res, fields) => {
+        state.failures.push({
+            path: fields.path || '*',
+            status: Number(fields.status) || 503,
+            remaining: Number(fields.count) || 1
+        });
+        send(res, 200, { ok: true, failures: state.failures });
+    },
+
+    'POST /__mock/expire-tokens': (req, res) => {
+        state.tokens.forEach((session) => {
+            session.expiresAt = 0;
+        });
+        send(res, 200, { ok: true });
+    },
+
+    'POST /__mock/punch': (req, res, fields) => {
+        const type = String(fields.type || '').toLowerCase();
+        if (!findUser(fields.email) || (type !== 'in' && type !== 'out')) {
+            send(res, 422, { ok: false, message: 'Known "email" and "type" ("in" / "out") required' });
+            return;
+        }
+        const seconds = Number(fields.timestamp);
+        const location = String(fields.work_location || '').toLowerCase();
+        const entries = historyOf(fields.email);
+        entries.push({
+            id: entries.length + 1,
+            type,
+            timestamp: new Date(seconds > 0 ? seconds * 1000 : serverNow()).toISOString(),
+            ...(WORK_LOCATIONS.includes(location) ? { work_location: location } : {})
+        });
+        send(res, 200, { ok: true });
+    },
+
+    'POST /__mock/decide': (req, res, fields) => {
+        const request = Object.values(state.requests).flat().find(item => String(item.id) === String(fields.id));
+        if (!request || !REQUEST_STATUSES.includes(fields.status)) {
+            send(res, 422, { ok: false, message: `Known "id" and "status" (${REQUEST_STATUSES.join(' / ')}) required` });
+            return;
+        }
+        request.status = fields.status;
+        request.comment = fields.comment || '';
+        send(res, 200, { ok: true, request });
+    },
+
+    'GET /__mock/state': (req, res) => send(res, 200, {
+        shape: SHAPE,
+        clockSkewMs: CLOCK_SKEW_MS,
+        sessions: state.tokens.size,
+        history: state.history,
+        requests: state.requests,
+        failures: state.failures
+    })
+};
+
+// A queued failure for this path, consumed once per request
+const takeFailure = (route) => {
+    const failure = state.failures.find(item => item.path === '*' || item.path === route);
+    if (!failure) return null;
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) state.failures.splice(state.failures.indexOf(failure), 1);
+    return failure;
+};
+
+const handle = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method === 'OPTIONS') {
+        send(res, 204, {});
+        return;
+    }
+
+    const fields = parseFields(req, await readBody(req));
+    const control = controlRoutes[`${req.method} ${url.pathname}`];
+    if (control) {
+        control(req, res, fields);
+        return;
+    }
+
+    const web = webRoutes[`${req.method} ${url.pathname}`];
+    if (web) {
+        web(req, res, fields);
+        return;
+    }
+
+    if (!url.pathname.startsWith(API_PREFIX)) {
+        send(res, 404, { status: 'error', message: 'Not found' });
+        return;
+    }
+
+    const route = url.pathname.slice(API_PREFIX.length);
+    const key = `${req.method} ${route}`;
+    if (LATENCY_MS) await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+
+    const failure = takeFailure(route);
+    if (failure) {
+        send(res, failure.status, { status: 'error', message: `Injected failure (${failure.status})` });
+        return;
+    }
+
+    if (publicRoutes[key]) {
+        publicRoutes[key](req, res, fields);
+        return;
+    }
+    if (authedRoutes[key]) {
+        const email = bearerEmail(req);
+        if (!email) {
+            send(res, 401, { status: 'error', message: 'Unauthenticated' });
+            return;
+        }
+        authedRoutes[key](req, res, fields, email, url.searchParams);
+        return;
+    }
+    send(res, 404, { status: 'error', message: 'Not found' });
+};
+
+reset();
+http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+        console.error('Mock server error:', e);
+        send(res, 500, { status: 'error', message: 'Mock server error' });
+    });
+}).listen(PORT, () => {
+    console.log(`Mock HR server (${SHAPE} responses) on http://localhost:${PORT}${API_PREFIX}`);
+    console.log(`Mock web portal on http://localhost:${PORT}/portal`);
+});
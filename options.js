@@ -0,0 +1,396 @@
+// Enterprise HR Portal - Options Page
+(function (HR) {
+    'use strict';
+
+    const t = HR.i18n.t;
+    const messageOf = HR.i18n.messageOf;
+
+    // --- DOM Accessors ---
+    const nodes = {
+        policyForm: document.getElementById('policy-form'),
+        savePolicyBtn: document.getElementById('save-policy-btn'),
+        promptForm: document.getElementById('prompt-form'),
+        savePromptsBtn: document.getElementById('save-prompts-btn'),
+        locationForm: document.getElementById('location-form'),
+        saveLocationBtn: document.getElementById('save-location-btn'),
+        displayForm: document.getElementById('display-form'),
+        saveDisplayBtn: document.getElementById('save-display-btn'),
+        debugMode: document.getElementById('debug-mode'),
+        settingsSync: document.getElementById('settings-sync'),
+        copyDiagnosticsBtn: document.getElementById('copy-diagnostics-btn'),
+        resetDataBtn: document.getElementById('reset-data-btn'),
+        profileList: document.getElementById('profile-list'),
+        profileForm: document.getElementById('profile-form'),
+        profileName: document.getElementById('profile-name'),
+        profileUrl: document.getElementById('profile-url'),
+        addProfileBtn: document.getElementById('add-profile-btn'),
+        statusToast: document.getElementById('status-msg')
+    };
+
+    const POLICY_FIELDS = Object.keys(HR.policy.DEFAULT_POLICY);
+
+    // <input type="time"> fields hold minutes after midnight as HH:MM
+    const toTimeValue = (minutes) =>
+        `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    const fromTimeValue = (value) => {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+
+    // --- Initialization ---
+    const init = async () => {
+        const data = await HR.storage.get('theme');
+        document.body.setAttribute('data-theme', data.theme);
+        renderDisplay(await HR.i18n.load());
+        HR.i18n.localize();
+
+        renderPolicy(await sendMessage('get-policy'));
+        renderProfiles(await sendMessage('get-profiles'));
+        renderPromptSettings(await sendMessage('get-prompt-settings'));
+        renderLocationSettings(await sendMessage('get-location-settings'));
+        nodes.debugMode.checked = await HR.log.init();
+        nodes.settingsSync.checked = (await sendMessage('get-settings-sync')).enabled === true;
+        nodes.policyForm.onsubmit = handleSavePolicy;
+        nodes.promptForm.onsubmit = handleSavePrompts;
+        nodes.locationForm.onsubmit = handleSaveLocation;
+        nodes.displayForm.onsubmit = handleSaveDisplay;
+        nodes.debugMode.onchange = handleDebugMode;
+        nodes.copyDiagnosticsBtn.onclick = handleCopyDiagnostics;
+        nodes.resetDataBtn.onclick = handleResetData;
+        nodes.settingsSync.onchange = handleSettingsSync;
+        chrome.storage.onChanged.addListener(handleStorageChange);
+        nodes.profileForm.onsubmit = handleAddProfile;
+        nodes.profileList.onclick = handleProfileAction;
+    };
+
+    // --- Portal Profiles ---
+    const renderProfiles = (result) => {
+        if (!result?.profiles) return;
+
+        nodes.profileList.innerHTML = result.profiles.map((profile) => {
+            const isActive = profile.id === result.activeId;
+            const isDefault = profile.id === HR.profiles.DEFAULT_PROFILE.id;
+            return `
+                <div class="entry-item">
+                    <span class="profile-label">
+                        <strong>${escapeHtml(profile.name)}</strong>
+                        <span class="entry-time">${escapeHtml(profile.baseUrl)}</span>
+                    </span>
+                    ${isActive
+                        ? `<span class="entry-sync sync-synced">${t('profileActive')}</span>`
+                        : `<button class="link-btn" data-action="switch" data-id="${escapeHtml(profile.id)}">${t('profileUse')}</button>`}
+                    ${isDefault ? '' : `<button class="entry-dismiss" data-action="remove" data-id="${escapeHtml(profile.id)}" title="${t('profileRemove')}">&times;</button>`}
+                </div>
+            `;
+        }).join('');
+    };
+
+    const handleAddProfile = async (event) => {
+        event.preventDefault();
+
+        const name = nodes.profileName.value.trim();
+        const baseUrl = HR.profiles.normalizeBaseUrl(nodes.profileUrl.value);
+        if (!name || !baseUrl) {
+            showToast(t('profileInvalid'));
+            return;
+        }
+
+        // Host access is optional and granted per portal origin; the request must come from this click
+        const origin = HR.profiles.originPattern(baseUrl);
+        const granted = await chrome.permissions.request({ origins: [origin] });
+        if (!granted) {
+            showToast(t('portalPermissionDenied'));
+            return;
+        }
+
+        try {
+            setLoading(nodes.addProfileBtn, true);
+            const result = await sendMessage('add-profile', { name, baseUrl });
+            if (result.ok) {
+                nodes.profileForm.reset();
+                renderProfiles(result);
+            } else {
+                const profiles = await HR.profiles.list();
+                if (!profiles.some(profile => HR.profiles.originPattern(profile.baseUrl) === origin)) {
+                    await chrome.permissions.remove({ origins: [origin] });
+                }
+            }
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.addProfileBtn, false, t('addProfile'));
+        }
+    };
+
+    const handleProfileAction = async (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const { action, id } = button.dataset;
+        if (action === 'remove' && !confirm(t('profileRemoveConfirm'))) return;
+
+        // Profiles synced from another computer arrive without this one's host permission; ask on this click
+        if (action === 'switch') {
+            const { profiles } = await sendMessage('get-profiles');
+            const profile = (profiles || []).find(item => item.id === id);
+            if (profile && !await chrome.permissions.request({ origins: [HR.profiles.originPattern(profile.baseUrl)] })) {
+                showToast(t('portalPermissionDenied'));
+                return;
+            }
+        }
+
+        const result = await sendMessage(action === 'switch' ? 'switch-profile' : 'remove-profile', { id });
+        if (result.ok) renderProfiles(result);
+        showToast(messageOf(result));
+
+        // Server policy is per profile
+        renderPolicy(await sendMessage('get-policy'));
+    };
+
+    // --- Attendance Policy ---
+    const renderPolicy = (settings) => {
+        if (!settings?.policy) return;
+
+        POLICY_FIELDS.forEach((key) => {
+            const input = nodes.policyForm.elements[key];
+            if (!input) return;
+            const managed = settings.managed.includes(key);
+            if (input.type === 'checkbox') {
+                input.checked = settings.policy[key];
+            } else {
+                input.value = input.type === 'time' ? toTimeValue(settings.policy[key]) : settings.policy[key];
+            }
+            input.disabled = managed;
+            input.title = managed ? t('policyManaged') : '';
+        });
+    };
+
+    const handleSavePolicy = async (event) => {
+        event.preventDefault();
+
+        const policy = {};
+        POLICY_FIELDS.forEach((key) => {
+            const input = nodes.policyForm.elements[key];
+            if (!input || input.disabled) return;
+            if (input.type === 'checkbox') {
+                policy[key] = input.checked;
+            } else {
+                policy[key] = input.type === 'time' ? fromTimeValue(input.value) : Number(input.value);
+            }
+        });
+
+        try {
+            setLoading(nodes.savePolicyBtn, true);
+            const result = await sendMessage('save-policy', { policy });
+            renderPolicy(result);
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.savePolicyBtn, false, t('savePolicy'));
+        }
+    };
+
+    // --- Punch Prompts ---
+    const renderPromptSettings = (result) => {
+        if (!result?.settings) return;
+        nodes.promptForm.elements.enabled.checked = result.settings.enabled;
+        nodes.promptForm.elements.awayMinutes.value = result.settings.awayMinutes;
+    };
+
+    const handleSavePrompts = async (event) => {
+        event.preventDefault();
+
+        const settings = {
+            enabled: nodes.promptForm.elements.enabled.checked,
+            awayMinutes: Number(nodes.promptForm.elements.awayMinutes.value)
+        };
+
+        try {
+            setLoading(nodes.savePromptsBtn, true);
+            const result = await sendMessage('save-prompt-settings', { settings });
+            renderPromptSettings(result);
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.savePromptsBtn, false, t('savePrompts'));
+        }
+    };
+
+    // --- Work Location ---
+    // Offices are edited as "latitude, longitude[, radius]" lines
+    const renderLocationSettings = (result) => {
+        if (!result?.settings) return;
+        const { elements } = nodes.locationForm;
+        elements.officeNetworks.value = result.settings.officeNetworks.join('\n');
+        elements.geolocation.checked = result.settings.geolocation;
+        elements.offices.value = result.settings.offices
+            .map(office => `${office.latitude}, ${office.longitude}, ${office.radiusMeters}`)
+            .join('\n');
+    };
+
+    const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const parseOffice = (line) => {
+        const [latitude, longitude, radiusMeters] = line.split(',').map(part => part.trim());
+        return { latitude, longitude, radiusMeters: radiusMeters || HR.location.DEFAULT_RADIUS_METERS };
+    };
+
+    // The manifest grants geolocation, but the browser or the system can still refuse a position: try one
+    // before turning the suggestion on. The failure text, or null.
+    const positionFailure = async () => {
+        try {
+            await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 10000, maximumAge: 5 * 60000 });
+            });
+            return null;
+        } catch (e) {
+            HR.log.warn('Position check failed', { code: e.code, message: e.message });
+            return t(e.code === e.PERMISSION_DENIED ? 'locationAccessDenied' : 'locationUnavailable');
+        }
+    };
+
+    const handleSaveLocation = async (event) => {
+        event.preventDefault();
+
+        const { elements } = nodes.locationForm;
+        const settings = {
+            officeNetworks: lines(elements.officeNetworks.value),
+            geolocation: elements.geolocation.checked,
+            offices: lines(elements.offices.value).map(parseOffice)
+        };
+
+        try {
+            setLoading(nodes.saveLocationBtn, true);
+            const failure = settings.geolocation ? await positionFailure() : null;
+            if (failure) {
+                elements.geolocation.checked = false;
+                showToast(failure);
+                return;
+            }
+            const result = await sendMessage('save-location-settings', { settings });
+            if (result.ok) renderLocationSettings(result);
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.saveLocationBtn, false, t('saveLocation'));
+        }
+    };
+
+    // --- Display ---
+    // Device-wide like the theme; open extension pages switch over through their storage listeners
+    const renderDisplay = (preferences) => {
+        const languages = [['auto', t('displayLanguageAuto')], ...Object.entries(HR.i18n.LANGUAGES)];
+        nodes.displayForm.elements.language.innerHTML = languages
+            .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+            .join('');
+        nodes.displayForm.elements.language.value = preferences.language;
+        nodes.displayForm.elements.clock.value = preferences.clock;
+    };
+
+    const handleSaveDisplay = async (event) => {
+        event.preventDefault();
+
+        try {
+            setLoading(nodes.saveDisplayBtn, true);
+            renderDisplay(await HR.i18n.save({
+                language: nodes.displayForm.elements.language.value,
+                clock: nodes.displayForm.elements.clock.value
+            }));
+            showToast(t('displaySaved'));
+        } finally {
+            setLoading(nodes.saveDisplayBtn, false, t('saveDisplay'));
+        }
+    };
+
+    // --- Settings Sync ---
+    const handleSettingsSync = async () => {
+        const result = await sendMessage('set-settings-sync', { enabled: nodes.settingsSync.checked });
+        nodes.settingsSync.checked = result.enabled === true;
+        showToast(messageOf(result));
+    };
+
+    // Keep the page current when settings change in another tab, the popup or on a synced computer
+    const handleStorageChange = async (changes, area) => {
+        if (area !== 'local') return;
+        if (changes.theme) document.body.setAttribute('data-theme', changes.theme.newValue || 'dark');
+        if (changes.profiles || changes.activeProfile) renderProfiles(await sendMessage('get-profiles'));
+        if (changes.policy || changes.activeProfile) renderPolicy(await sendMessage('get-policy'));
+        if (changes.promptSettings) renderPromptSettings(await sendMessage('get-prompt-settings'));
+        if (changes.locationSettings) renderLocationSettings(await sendMessage('get-location-settings'));
+        if (changes.displayPreferences) {
+            renderDisplay(await HR.i18n.load());
+            HR.i18n.localize();
+            renderProfiles(await sendMessage('get-profiles'));
+            renderPolicy(await sendMessage('get-policy'));
+        }
+        if (changes.debugMode) nodes.debugMode.checked = !!changes.debugMode.newValue;
+        if (changes.settingsSync) nodes.settingsSync.checked = !!changes.settingsSync.newValue;
+    };
+
+    // --- Troubleshooting ---
+    const handleDebugMode = async () => {
+        const enabled = await HR.log.setDebugMode(nodes.debugMode.checked);
+        showToast(t(enabled ? 'debugOn' : 'debugOff'));
+    };
+
+    const handleCopyDiagnostics = async () => {
+        try {
+            setLoading(nodes.copyDiagnosticsBtn, true);
+            const result = await sendMessage('get-diagnostics');
+            if (!result.ok) {
+                showToast(messageOf(result));
+                return;
+            }
+            await navigator.clipboard.writeText(JSON.stringify(result.diagnostics, null, 2));
+            showToast(t('diagnosticsCopied'));
+        } catch (e) {
+            HR.log.error('Copying diagnostics failed', e);
+            showToast(t('clipboardFailed'));
+        } finally {
+            setLoading(nodes.copyDiagnosticsBtn, false, t('copyDiagnostics'));
+        }
+    };
+
+    // The cleared settings come back through handleStorageChange
+    const handleResetData = async () => {
+        if (!confirm(t('resetConfirm'))) return;
+
+        setLoading(nodes.resetDataBtn, true);
+        const result = await sendMessage('reset-data');
+        setLoading(nodes.resetDataBtn, false, t('resetData'));
+        showToast(messageOf(result));
+    };
+
+    // --- Helpers ---
+    const sendMessage = async (type, payload = {}) => {
+        try {
+            const response = await chrome.runtime.sendMessage({ type, ...payload });
+            return response || { ok: false, message: t('noResponse') };
+        } catch (e) {
+            HR.log.error(`Background message "${type}" failed`, e);
+            return { ok: false, message: t('backgroundUnavailable') };
+        }
+    };
+
+    const setLoading = (btn, isLoading, originalText) => {
+        if (!btn) return;
+        btn.classList.toggle('btn-loading', isLoading);
+        btn.disabled = isLoading;
+        if (!isLoading && originalText) btn.textContent = originalText;
+    };
+
+    const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+
+    const showToast = (msg) => {
+        if (!nodes.statusToast) return;
+        nodes.statusToast.textContent = msg;
+        nodes.statusToast.classList.add('show');
+        setTimeout(() => nodes.statusToast.classList.remove('show'), 3000);
+    };
+
+    // --- Bootstrap ---
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(self.HR);
@@ -1,11 +1,12 @@
 // Enterprise HR Portal - Core Interface Logic
-(function () {
+(function (HR) {
     'use strict';
 
     // --- Configuration & State ---
+    const t = HR.i18n.t;
+    const messageOf = HR.i18n.messageOf;
     let timerInterval = null;
-    const API_BASE = 'https://hr-portal.jspinfotech.com/api/v1';
-    const PUNCH_DELAY_MS = 2 * 60 * 60 * 1000; // 2 Hours
+    let currentState = null; // Last state snapshot pushed by the background worker
 
     // --- DOM Accessors ---
     const nodes = {
@@ -16,132 +17,285 @@
         userName: document.getElementById('user-display'),
         timerDisplay: document.getElementById('timer'),
         punchBtn: document.getElementById('punch-btn'),
+        breakBtn: document.getElementById('break-btn'),
+        workLocation: document.getElementById('work-location'),
+        locationHint: document.getElementById('location-hint'),
+        timerUnit: document.getElementById('timer-unit'),
         historyList: document.getElementById('history-list'),
+        historyOpenBtn: document.getElementById('history-open-btn'),
+        analyticsOpenBtn: document.getElementById('analytics-open-btn'),
         loginBtn: document.getElementById('login-btn'),
         logoutBtn: document.getElementById('logout-btn'),
         themeBtn: document.getElementById('theme-btn'),
+        settingsBtn: document.getElementById('settings-btn'),
         emailInput: document.getElementById('email'),
         passwordInput: document.getElementById('password'),
         loginError: document.getElementById('login-error'),
+        loginForm: document.getElementById('login-form'),
+        dashboardHeading: document.getElementById('dashboard-heading'),
+        statusDetail: document.getElementById('status-detail'),
         statusToast: document.getElementById('status-msg'),
         statusDot: document.getElementById('status-dot'),
         statusText: document.getElementById('status-text'),
-        rememberCheckbox: document.getElementById('remember-me')
+        rememberCheckbox: document.getElementById('remember-me'),
+        profileGroup: document.getElementById('profile-group'),
+        profileSelect: document.getElementById('profile-select'),
+        sessionBanner: document.getElementById('session-banner'),
+        sessionBannerText: document.getElementById('session-banner-text'),
+        reauthBtn: document.getElementById('reauth-btn'),
+        conflictBanner: document.getElementById('conflict-banner'),
+        conflictBannerText: document.getElementById('conflict-banner-text'),
+        conflictServerBtn: document.getElementById('conflict-server-btn'),
+        conflictLocalBtn: document.getElementById('conflict-local-btn'),
+        requestsModule: document.getElementById('requests-module'),
+        requestNewBtn: document.getElementById('request-new-btn'),
+        missedPunchList: document.getElementById('missed-punch-list'),
+        requestForm: document.getElementById('request-form'),
+        requestKind: document.getElementById('request-kind'),
+        requestDay: document.getElementById('request-day'),
+        requestTimes: document.getElementById('request-times'),
+        requestIn: document.getElementById('request-in'),
+        requestOut: document.getElementById('request-out'),
+        requestLeaveGroup: document.getElementById('request-leave-group'),
+        requestLeaveType: document.getElementById('request-leave-type'),
+        requestReason: document.getElementById('request-reason'),
+        requestCancelBtn: document.getElementById('request-cancel-btn'),
+        requestSubmitBtn: document.getElementById('request-submit-btn'),
+        requestList: document.getElementById('request-list'),
+        dashboardTabs: document.getElementById('dashboard-tabs'),
+        tabMe: document.getElementById('tab-me'),
+        tabTeam: document.getElementById('tab-team'),
+        panelMe: document.getElementById('panel-me'),
+        panelTeam: document.getElementById('panel-team'),
+        teamRefreshBtn: document.getElementById('team-refresh-btn'),
+        teamSummary: document.getElementById('team-summary'),
+        teamList: document.getElementById('team-list'),
+        teamUpdated: document.getElementById('team-updated')
     };
 
     // --- Initialization ---
     const init = async () => {
-        const data = await chrome.storage.local.get(['token', 'user', 'theme', 'savedCreds']);
+        const data = await HR.storage.get(['theme', 'savedCreds']);
 
-        // 0. Prefill credentials (Remember Me)
-        if (data.savedCreds) {
-            const savedEmail = data.savedCreds.email || '';
-            const savedPassword = data.savedCreds.password || '';
+        // Debug mode, then language and clock preferences so nothing renders in the wrong language
+        await HR.log.init();
+        await HR.i18n.load();
+        HR.i18n.localize();
 
-            if (nodes.emailInput) {
-                nodes.emailInput.value = savedEmail;
-                // Some browsers/extensions can be picky about password fields; set both property + attribute.
-                nodes.emailInput.setAttribute('value', savedEmail);
-            }
-            if (nodes.passwordInput) {
-                nodes.passwordInput.value = savedPassword;
-                nodes.passwordInput.setAttribute('value', savedPassword);
-            }
-            if (nodes.rememberCheckbox) nodes.rememberCheckbox.checked = true;
-        }
+        // 0. Prefill the email (Remember Me keeps no password) and list portal profiles
+        prefillCredentials(data.savedCreds);
+        await renderProfiles();
 
         // 1. Theme Orchestration
-        applyTheme(data.theme || 'dark');
+        applyTheme(data.theme);
 
-        // 2. State & Auth Restoration
-        if (data.token) {
-            setupDashboard(data.user);
-            await syncState();
-        } else {
-            transitionToView('login');
+        // 2. State & Auth Restoration (owned by the background service worker)
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message?.type === 'state-changed') renderState(message.state);
+        });
+        chrome.storage.onChanged.addListener(handleStorageChange);
+
+        let state = await sendMessage('get-state');
+        if (!state?.loggedIn && data.savedCreds?.email) {
+            // Remembered session: the worker signs back in with the stored refresh token
+            const restored = await sendMessage('restore-login');
+            if (restored.state) state = restored.state;
         }
+        renderState(state);
+        if (state?.loggedIn) syncState();
 
         attachEvents();
     };
 
+    // Remember Me is per portal profile
+    const prefillCredentials = (savedCreds) => {
+        if (nodes.emailInput) nodes.emailInput.value = savedCreds?.email || '';
+        if (nodes.rememberCheckbox) nodes.rememberCheckbox.checked = !!savedCreds;
+    };
+
+    // The portal picker only appears once more than one profile is configured (Settings page)
+    const renderProfiles = async () => {
+        if (!nodes.profileSelect) return;
+        const { profiles, activeId } = await sendMessage('get-profiles');
+        if (!profiles) return;
+
+        nodes.profileGroup.classList.toggle('hide', profiles.length < 2);
+        nodes.profileSelect.innerHTML = profiles.map(profile => `
+            <option value="${escapeHtml(profile.id)}" ${profile.id === activeId ? 'selected' : ''}>
+                ${escapeHtml(profile.name)}
+            </option>
+        `).join('');
+    };
+
+    const handleProfileChange = async () => {
+        const result = await sendMessage('switch-profile', { id: nodes.profileSelect.value });
+        if (!result.ok) {
+            showToast(messageOf(result));
+            await renderProfiles(); // Back to the profile still in use
+            return;
+        }
+
+        const data = await HR.storage.get('savedCreds');
+        prefillCredentials(data.savedCreds);
+        renderState(result.state);
+        showToast(t('usingProfile', result.state.profile.name));
+    };
+
+    // --- Storage Changes ---
+    // Other tabs, the worker and synced computers all write to storage; repaint whatever they touched.
+    const STATE_KEYS = new Set([
+        'token', 'user', 'punchInTime', 'breakStartTime', 'breakLog', 'history', 'punchQueue',
+        'punchConflict', 'requests', 'clockOffset', 'policy', 'serverPolicy', 'activeProfile'
+    ]);
+    let refreshTimer = null;
+
+    const handleStorageChange = async (changes, area) => {
+        if (area !== 'local') return;
+        if (changes.theme) applyTheme(changes.theme.newValue || 'dark');
+        if (changes.profiles || changes.activeProfile) renderProfiles();
+        if (changes.displayPreferences) {
+            await HR.i18n.load();
+            HR.i18n.localize();
+            if (currentState) renderState(currentState);
+        }
+
+        const profileId = currentState?.profile?.id || HR.profiles.DEFAULT_PROFILE.id;
+        if (!HR.profiles.keysFor(changes, profileId).some(key => STATE_KEYS.has(key))) return;
+        // One refresh for a burst of writes (a sync touches several keys)
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(async () => renderState(await sendMessage('get-state')), 200);
+    };
+
+    // Render local state immediately, then let the background reconcile with the server.
     const syncState = async () => {
-        // First, restore state from local storage immediately (before API calls)
-        // This ensures the UI shows the correct state even if API calls fail
-        await restoreLocalState();
-        
-        // Then sync with server in the background (non-blocking)
-        // Use setTimeout to delay server sync slightly, giving UI time to render
-        setTimeout(async () => {
-            try {
-                // Fetch user info and history first (these don't affect punch state)
-                await Promise.all([
-                    fetchMe(),
-                    fetchHistory()
-                ]);
-                
-                // Then fetch status (but it won't overwrite if local state is recent)
-                await fetchStatus();
-            } catch (e) {
-                console.error('Background sync failed:', e);
-                // Don't clear local state if API fails - keep what we have
-            }
-        }, 500); // Small delay to ensure UI is rendered first
+        const state = await sendMessage('sync');
+        if (state && state.ok !== false) renderState(state);
     };
 
-    // Restore state from local storage immediately
-    const restoreLocalState = async () => {
-        try {
-            console.log('=== Restoring local state ===');
-            const data = await chrome.storage.local.get(['punchInTime', 'token', 'user']);
-            console.log('Storage data retrieved:', {
-                hasToken: !!data.token,
-                hasPunchInTime: !!data.punchInTime,
-                punchInTime: data.punchInTime,
-                punchInTimeDate: data.punchInTime ? new Date(data.punchInTime).toLocaleString() : null
-            });
-            
-            if (!data.token) {
-                console.log('No token found, skipping state restoration');
-                return; // Not logged in
-            }
+    // Single entry point for painting background state into the popup
+    const renderState = (state) => {
+        if (!state || state.ok === false) {
+            updatePunchUI(false);
+            return;
+        }
+        currentState = state;
+        renderTabs(state);
 
-            if (data.punchInTime) {
-                const punchInTime = data.punchInTime;
-                const now = Date.now();
+        if (!state.loggedIn) {
+            stopTimer();
+            if (nodes.loginView.classList.contains('hide')) transitionToView('login');
+            return;
+        }
 
-                // IMPORTANT: Do NOT clear punch state automatically based on date/inactivity.
-                // If the user was punched in, we keep that state until an explicit Punch Out succeeds.
-                console.log('Restoring punch-in time (no auto-clear):', {
-                    punchInTime,
-                    punchInTimeDate: new Date(punchInTime).toLocaleString(),
-                    timeSincePunchSeconds: Math.floor((now - punchInTime) / 1000)
-                });
+        if (nodes.dashboardView.classList.contains('hide')) {
+            setupDashboard(state.user);
+        } else {
+            nodes.userName.textContent = state.user?.name || t('employee');
+        }
 
-                startTimer(punchInTime);
-                updatePunchUI(true, punchInTime);
-            } else {
-                // No punch-in time stored, show offline state
-                console.log('✗ No punch-in time in storage, showing offline state');
-                updatePunchUI(false);
-            }
-        } catch (e) {
-            console.error('✗ Error restoring local state:', e);
-            console.error('Error stack:', e.stack);
-            // On error, default to offline state
+        renderLocation(state);
+        if (state.punchInTime) {
+            startTimer(state.punchInTime);
+            updatePunchUI(true, state.punchInTime);
+        } else {
+            stopTimer();
             updatePunchUI(false);
         }
+        renderBreakButton(state);
+        renderHistory(state.history, state.queue, state.breaks);
+        renderSessionBanner(state);
+        renderConflictBanner(state.punchConflict);
+        renderRequests(state);
+    };
+
+    // Proactive prompt when the token will expire and cannot be refreshed silently
+    const renderSessionBanner = (state) => {
+        if (!nodes.sessionBanner) return;
+        nodes.sessionBanner.classList.toggle('hide', !state.sessionExpiring);
+        if (!state.sessionExpiring) return;
+
+        const minutes = Math.max(0, Math.round((state.sessionExpiresAt - Date.now()) / 60000));
+        nodes.sessionBannerText.textContent = minutes > 0
+            ? t('sessionExpiresIn', minutes)
+            : t('sessionExpired');
+    };
+
+    // Punch times are server time; the worker measures how far this PC's clock is off
+    const serverNow = () => Date.now() + (currentState?.clockOffset || 0);
+
+    const formatPunchTime = (timestamp) => {
+        const time = HR.i18n.formatTime(timestamp);
+        return new Date(timestamp).toDateString() === new Date().toDateString()
+            ? time
+            : `${HR.i18n.formatDate(timestamp)} ${time}`;
+    };
+
+    // The portal and this browser disagree about the running shift; the user decides which is right
+    const renderConflictBanner = (conflict) => {
+        if (!nodes.conflictBanner) return;
+        nodes.conflictBanner.classList.toggle('hide', !conflict);
+        if (!conflict) return;
+
+        const local = formatPunchTime(conflict.localPunchInTime);
+        if (conflict.kind === 'not-punched-in') {
+            nodes.conflictBannerText.textContent = t('conflictNotPunchedIn', local);
+            nodes.conflictServerBtn.textContent = t('conflictUsePortalOut');
+            nodes.conflictLocalBtn.textContent = t('conflictKeepMineResend');
+        } else {
+            const server = formatPunchTime(conflict.serverPunchInTime);
+            nodes.conflictBannerText.textContent = t('conflictStartMismatch', [server, local]);
+            nodes.conflictServerBtn.textContent = t('conflictUseTime', server);
+            nodes.conflictLocalBtn.textContent = t('conflictKeepTime', local);
+        }
+    };
+
+    const handleResolveConflict = async (choice) => {
+        const result = await sendMessage('resolve-conflict', { choice });
+        if (result.state) renderState(result.state);
+        showToast(messageOf(result));
+    };
+
+    const handleReauthenticate = async () => {
+        const result = await sendMessage('reauthenticate');
+        renderState(result.state);
+        showToast(t('reauthKept'));
+        nodes.passwordInput?.focus();
     };
 
     const attachEvents = () => {
-        if (nodes.loginBtn) nodes.loginBtn.onclick = handleLogin;
+        if (nodes.loginForm) nodes.loginForm.onsubmit = handleLogin;
         if (nodes.logoutBtn) nodes.logoutBtn.onclick = handleLogout;
         if (nodes.punchBtn) nodes.punchBtn.onclick = handlePunch;
+        if (nodes.breakBtn) nodes.breakBtn.onclick = handleBreak;
+        if (nodes.workLocation) nodes.workLocation.onchange = handleLocationChange;
         if (nodes.themeBtn) nodes.themeBtn.onclick = toggleTheme;
+        if (nodes.settingsBtn) nodes.settingsBtn.onclick = () => chrome.runtime.openOptionsPage();
+        if (nodes.historyList) nodes.historyList.onclick = handleHistoryClick;
+        if (nodes.reauthBtn) nodes.reauthBtn.onclick = handleReauthenticate;
+        if (nodes.conflictServerBtn) nodes.conflictServerBtn.onclick = () => handleResolveConflict('server');
+        if (nodes.conflictLocalBtn) nodes.conflictLocalBtn.onclick = () => handleResolveConflict('local');
+        if (nodes.profileSelect) nodes.profileSelect.onchange = handleProfileChange;
+        if (nodes.historyOpenBtn) nodes.historyOpenBtn.onclick = () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+        if (nodes.analyticsOpenBtn) nodes.analyticsOpenBtn.onclick = () => chrome.tabs.create({ url: chrome.runtime.getURL('analytics.html') });
+        if (nodes.requestNewBtn) nodes.requestNewBtn.onclick = () => openRequestForm();
+        if (nodes.requestCancelBtn) nodes.requestCancelBtn.onclick = closeRequestForm;
+        if (nodes.requestForm) nodes.requestForm.onsubmit = handleSubmitRequest;
+        if (nodes.requestForm) nodes.requestForm.onkeydown = (event) => {
+            if (event.key === 'Escape') closeRequestForm();
+        };
+        if (nodes.requestKind) nodes.requestKind.onchange = renderRequestKind;
+        if (nodes.requestDay) nodes.requestDay.onchange = prefillRequestTimes;
+        if (nodes.missedPunchList) nodes.missedPunchList.onclick = handleMissedPunchClick;
+        if (nodes.tabMe) nodes.tabMe.onclick = () => selectTab('me');
+        if (nodes.tabTeam) nodes.tabTeam.onclick = () => selectTab('team');
+        if (nodes.dashboardTabs) nodes.dashboardTabs.onkeydown = handleTabKey;
+        if (nodes.teamRefreshBtn) nodes.teamRefreshBtn.onclick = () => loadTeam({ refresh: true });
     };
 
     // --- Theme Logic ---
     const applyTheme = (theme) => {
         document.body.setAttribute('data-theme', theme);
+        nodes.themeBtn?.setAttribute('aria-checked', String(theme !== 'light'));
     };
 
     const toggleTheme = async () => {
@@ -150,96 +304,54 @@
 
         // Add a temporary class for orchestrated theme swap effect if needed
         applyTheme(next);
-        await chrome.storage.local.set({ theme: next });
+        await HR.storage.set({ theme: next });
     };
 
     // --- Authentication Flow ---
-    const handleLogin = async () => {
+    // Submit of the login form (button or Enter in any field)
+    const handleLogin = async (event) => {
+        event?.preventDefault();
+        clearError();
         const email = nodes.emailInput.value.trim();
         const password = nodes.passwordInput.value;
 
         if (!email || !password) {
-            showError('Invalid credentials provided.');
+            showError(t('invalidCredentials'));
             return;
         }
 
         try {
             setLoading(nodes.loginBtn, true);
-            const formData = new FormData();
-            formData.append('email', email);
-            formData.append('password', password);
-
-            const response = await fetch(`${API_BASE}/login`, {
-                method: 'POST',
-                body: formData
+            const result = await sendMessage('login', {
+                email,
+                password,
+                remember: !!nodes.rememberCheckbox?.checked
             });
 
-            const result = await response.json();
-
-            if (response.ok && (result.token || result.data?.token)) {
-                const token = result.token || result.data?.token;
-                const user = {
-                    name: result.user?.name || result.data?.user?.name || email.split('@')[0],
-                    email: email
-                };
-
-                // Handle Remember Me
-                if (nodes.rememberCheckbox?.checked) {
-                    await chrome.storage.local.set({ savedCreds: { email, password } });
-                } else {
-                    await chrome.storage.local.remove('savedCreds');
-                }
-
-                await chrome.storage.local.set({ token, user });
-                setupDashboard(user);
-                renderHistory([]);
-                updatePunchUI(false);
-                showToast('Welcome back');
+            if (result.ok) {
+                renderState(result.state);
+                showToast(messageOf(result));
             } else {
-                showError(result.message || 'Login failed. Check credentials.');
+                showError(messageOf(result));
             }
-        } catch (e) {
-            console.error('Login Error:', e);
-            showError('Connection error during login.');
         } finally {
-            setLoading(nodes.loginBtn, false, 'Authenticate');
-        }
-    };
-
-    const handleLogout = async ({ preservePunch = false } = {}) => {
-        const data = await chrome.storage.local.get(['token']);
-
-        if (data.token) {
-            try {
-                setLoading(nodes.logoutBtn, true);
-                // Notifying server of logout
-                await fetch(`${API_BASE}/logout`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${data.token}`,
-                        'Accept': 'application/json'
-                    }
-                });
-            } catch (e) {
-                console.error('Logout API failure:', e);
-            } finally {
-                setLoading(nodes.logoutBtn, false, 'Sign Out');
-            }
+            setLoading(nodes.loginBtn, false, t('authenticate'));
         }
+    };
 
-        // Targeted removal of authentication state instead of clearing everything
-        if (preservePunch) {
-            // Keep `punchInTime` so punch-in state can be restored after re-login/session refresh.
-            await chrome.storage.local.remove(['token', 'user']);
-        } else {
-            await chrome.storage.local.remove(['token', 'user', 'punchInTime']);
+    const handleLogout = async () => {
+        try {
+            setLoading(nodes.logoutBtn, true);
+            const result = await sendMessage('logout');
+            renderState(result.state);
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.logoutBtn, false, t('signOut'));
         }
-        stopTimer();
-        transitionToView('login');
-        showToast('Logged out successfully');
     };
 
     // --- View Transitions ---
+    // Focus follows the view so keyboard and screen reader users land on what just appeared
     const transitionToView = (view) => {
         const isLogin = view === 'login';
 
@@ -255,6 +367,7 @@
             nodes.dashboardView.classList.add('view-enter');
             nodes.profileStrip.classList.remove('hide');
         }
+        focusView(view);
 
         // Cleanup transition class after animation completes
         setTimeout(() => {
@@ -263,470 +376,552 @@
         }, 600);
     };
 
+    const focusView = (view) => {
+        if (view === 'dashboard') {
+            nodes.dashboardHeading?.focus();
+        } else {
+            (nodes.emailInput?.value ? nodes.passwordInput : nodes.emailInput)?.focus();
+        }
+    };
+
     const setupDashboard = (user) => {
-        nodes.userName.textContent = user?.name || 'Employee';
+        nodes.userName.textContent = user?.name || t('employee');
         transitionToView('dashboard');
     };
 
     // --- Persistence & Tracking ---
+    // Server history plus punches still waiting in the offline queue
+    const policyHistory = (state) => [
+        ...(state?.history || []),
+        ...(state?.queue || []).filter(entry => entry.status === 'pending')
+    ];
+
+    // Offline punches are queued by the background worker and replayed when the connection returns
     const handlePunch = async () => {
-        if (!navigator.onLine) {
-            showToast('Offline: Check connection');
-            return;
+        const workLocation = selectedLocation();
+
+        // Attendance policy (punches per day, minimum stay, work location); the background worker re-checks it
+        if (currentState?.policy) {
+            const check = HR.policy.checkPunch(
+                { punchInTime: currentState.punchInTime, history: policyHistory(currentState), workLocation },
+                currentState.policy,
+                serverNow()
+            );
+            if (!check.allowed) {
+                showToast(t(check.error, check.remainingMinutes));
+                return;
+            }
         }
 
-        const data = await chrome.storage.local.get(['punchInTime', 'token']);
-        if (!data.token) {
-            handleLogout({ preservePunch: true });
+        try {
+            setLoading(nodes.punchBtn, true);
+            const result = await sendMessage('punch', { workLocation });
+            if (result.state) renderState(result.state);
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.punchBtn, false, t(currentState?.punchInTime ? 'punchOut' : 'punchIn'));
+        }
+    };
+
+    // --- Work Location ---
+    // Office / Remote tag for the next punch. A running shift shows its own tag; otherwise a suggestion (office
+    // network, then the opt-in position check) fills in until the user picks one themselves.
+    const SUGGESTION_LABELS = {
+        network: 'locationSuggestedNetwork',
+        position: 'locationSuggestedPosition'
+    };
+
+    const locationChoice = {
+        shift: undefined,  // punchInTime the dropdown was filled for
+        picked: false,     // The user chose a value for this shift
+        suggestion: null,
+        source: null,
+        requested: false
+    };
+
+    const selectedLocation = () => HR.location.normalize(nodes.workLocation?.value);
+
+    const renderLocation = (state) => {
+        if (!nodes.workLocation) return;
+        const shift = state.punchInTime || null;
+        if (shift !== locationChoice.shift) {
+            locationChoice.shift = shift;
+            locationChoice.picked = false;
+        }
+
+        const suggested = !shift && !locationChoice.picked && locationChoice.suggestion;
+        if (!locationChoice.picked) {
+            nodes.workLocation.value = (shift ? state.workLocation : locationChoice.suggestion) || '';
+        }
+        nodes.locationHint.textContent = suggested ? t(SUGGESTION_LABELS[locationChoice.source]) : '';
+
+        if (!locationChoice.requested) {
+            locationChoice.requested = true;
+            suggestLocation();
+        }
+    };
+
+    const refreshLocation = () => {
+        if (!currentState?.loggedIn) return;
+        renderLocation(currentState);
+        updatePunchUI(!!currentState.punchInTime, currentState.punchInTime);
+    };
+
+    const handleLocationChange = () => {
+        locationChoice.picked = true;
+        refreshLocation();
+    };
+
+    const suggestLocation = async () => {
+        const result = await sendMessage('suggest-work-location');
+        let location = HR.location.normalize(result.location);
+        let source = result.source;
+        if (!location) {
+            location = await positionSuggestion();
+            source = 'position';
+        }
+        if (!location) return;
+
+        locationChoice.suggestion = location;
+        locationChoice.source = source;
+        refreshLocation();
+    };
+
+    // Opt-in on the Settings page, which checks a position can be had before saving
+    const positionSuggestion = async () => {
+        const settings = await HR.location.load();
+        if (!settings.geolocation || !settings.offices.length) return null;
+
+        try {
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 10000, maximumAge: 5 * 60000 });
+            });
+            return HR.location.fromPosition(position.coords, settings.offices);
+        } catch (e) {
+            HR.log.warn('Position check failed', { code: e.code, message: e.message });
+            return null;
+        }
+    };
+
+    // --- Dashboard Tabs & Team ---
+    // Managers (users with reports) get a "My Team" tab. While it is open the panel refreshes every minute;
+    // the background worker caches the team as long, so switching tabs doesn't hit the portal each time.
+    const TEAM_REFRESH_MS = 60 * 1000;
+    const TABS = ['me', 'team'];
+    let activeTab = 'me';
+    let teamTimer = null;
+    let lastTeam = null; // Last successful get-team response
+
+    const renderTabs = (state) => {
+        if (!nodes.dashboardTabs) return;
+        const hasTeam = !!(state.loggedIn && state.hasTeam);
+        nodes.dashboardTabs.classList.toggle('hide', !hasTeam);
+        if (!hasTeam && activeTab !== 'me') selectTab('me');
+        if (!state.loggedIn) lastTeam = null;
+    };
+
+    const selectTab = (tab, { focus = false } = {}) => {
+        activeTab = tab;
+        [[nodes.tabMe, nodes.panelMe, 'me'], [nodes.tabTeam, nodes.panelTeam, 'team']].forEach(([button, panel, name]) => {
+            const selected = name === tab;
+            button.classList.toggle('active', selected);
+            button.setAttribute('aria-selected', String(selected));
+            button.tabIndex = selected ? 0 : -1;
+            panel.classList.toggle('hide', !selected);
+        });
+        if (focus) (tab === 'team' ? nodes.tabTeam : nodes.tabMe).focus();
+
+        clearInterval(teamTimer);
+        teamTimer = null;
+        if (tab === 'team') {
+            renderTeam();
+            loadTeam();
+            teamTimer = setInterval(loadTeam, TEAM_REFRESH_MS);
+        }
+    };
+
+    // Arrow keys move between tabs (in reading order, so reversed for right-to-left); Home / End jump
+    const handleTabKey = (event) => {
+        let index = TABS.indexOf(activeTab);
+        if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+            const step = (event.key === 'ArrowRight') === !HR.i18n.isRtl() ? 1 : -1;
+            index = (index + step + TABS.length) % TABS.length;
+        } else if (event.key === 'Home' || event.key === 'End') {
+            index = event.key === 'Home' ? 0 : TABS.length - 1;
+        } else {
             return;
         }
+        event.preventDefault();
+        selectTab(TABS[index], { focus: true });
+    };
 
-        const isPunchedIn = !!data.punchInTime;
-        const type = isPunchedIn ? 'out' : 'in';
-        const now = Date.now();
+    const loadTeam = async ({ refresh = false } = {}) => {
+        try {
+            if (refresh) setLoading(nodes.teamRefreshBtn, true);
+            const result = await sendMessage('get-team', { refresh });
+            if (result.ok) lastTeam = result;
+            renderTeam(result.ok ? null : messageOf(result));
+            if (refresh && messageOf(result)) showToast(messageOf(result));
+        } finally {
+            if (refresh) setLoading(nodes.teamRefreshBtn, false, t('refresh'));
+        }
+    };
 
-        // Single Shift Check: Prevent Punch In if already punched out today
-        if (!isPunchedIn) {
-            const historyData = await chrome.storage.local.get('history');
-            const history = historyData.history || [];
-            const todayStr = new Date().toDateString();
-            const hasPunchedOutToday = history.some(item =>
-                item.type === 'out' && new Date(item.timestamp).toDateString() === todayStr
-            );
+    const presenceLabel = (member) => {
+        if (member.onBreak) return t('teamOnBreak');
+        if (!member.isPunchedIn) return t('teamOut');
+        return member.punchInTime ? t('teamInSince', formatPunchTime(member.punchInTime)) : t('teamIn');
+    };
 
-            if (hasPunchedOutToday) {
-                showToast('Already completed today’s attendance');
-                return;
-            }
+    // `error` shows in place of the list when there is no team snapshot at all
+    const renderTeam = (error = null) => {
+        if (!nodes.teamList) return;
+        if (!lastTeam) {
+            nodes.teamSummary.textContent = '';
+            nodes.teamUpdated.textContent = '';
+            nodes.teamList.innerHTML = `<div class="empty-log">${escapeHtml(error || t('loading'))}</div>`;
+            return;
         }
 
-        // 2-Hour Delay Validation
-        if (isPunchedIn && (now - data.punchInTime < PUNCH_DELAY_MS)) {
-            const remaining = Math.ceil((PUNCH_DELAY_MS - (now - data.punchInTime)) / 60000);
-            showToast(`Min. stay required: ${remaining} mins left`);
+        const { members, fetchedAt } = lastTeam.team;
+        const policy = currentState?.policy || HR.policy.DEFAULT_POLICY;
+        const shown = members.map(member => HR.team.presence(member, policy, { fetchedAt, now: serverNow() }));
+        const summary = HR.team.summarize(shown);
+        nodes.teamSummary.textContent = t('teamSummary', [summary.punchedIn, summary.total]);
+        nodes.teamUpdated.textContent = t(lastTeam.stale ? 'teamStale' : 'teamUpdated', formatPunchTime(fetchedAt));
+
+        if (!shown.length) {
+            nodes.teamList.innerHTML = `<div class="empty-log">${t('teamEmpty')}</div>`;
             return;
         }
 
+        nodes.teamList.innerHTML = shown.map((member) => {
+            const flags = [
+                member.late && ['sync-pending', 'teamLate'],
+                member.missingIn && ['sync-rejected', 'teamMissingIn'],
+                member.missingOut && ['sync-rejected', 'teamMissingOut']
+            ].filter(Boolean).map(([tone, key]) => `<span class="entry-sync ${tone}">${t(key)}</span>`).join('');
+
+            return `
+                <div class="entry-item team-member">
+                    <span class="status-dot ${member.isPunchedIn ? 'active' : ''}" aria-hidden="true"></span>
+                    <span class="team-name">${escapeHtml(member.name)}</span>
+                    <span class="entry-time">${escapeHtml(presenceLabel(member))}</span>
+                    <span class="team-hours">${HR.i18n.formatMinutes(Math.floor(member.workedMs / 60000))}</span>
+                    ${flags}
+                </div>
+            `;
+        }).join('');
+    };
+
+    // --- Breaks ---
+    // Break markers from the server plus those kept on this device
+    const breakEntries = (state) => HR.attendance.withLocalBreaks(
+        (state?.history || []).filter(HR.attendance.isBreak),
+        state?.breaks
+    );
+
+    const formatBreakClock = (ms) => {
+        const minutes = Math.max(0, Math.floor(ms / 60000));
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+
+    const renderBreakButton = (state) => {
+        if (!nodes.breakBtn) return;
+        nodes.breakBtn.classList.toggle('hide', !state.punchInTime);
+        nodes.breakBtn.classList.toggle('on-break', !!state.breakStartTime);
+        nodes.breakBtn.textContent = t(state.breakStartTime ? 'endBreak' : 'startBreak');
+    };
+
+    const handleBreak = async () => {
         try {
-            setLoading(nodes.punchBtn, true);
+            setLoading(nodes.breakBtn, true);
+            const result = await sendMessage('break');
+            if (result.state) renderState(result.state);
+            showToast(messageOf(result));
+        } finally {
+            setLoading(nodes.breakBtn, false, t(currentState?.breakStartTime ? 'endBreak' : 'startBreak'));
+        }
+    };
+
+    // --- Attendance Requests ---
+    const formatDay = (day) => HR.i18n.formatDate(HR.attendance.fromDateKey(day));
+
+    const formatClock = (timestamp) => HR.i18n.formatTime(timestamp);
+
+    const stateSessions = (state) => HR.attendance.buildSessions(policyHistory(state), {
+        policy: state.policy,
+        punchInTime: state.punchInTime
+    });
+
+    // Missed punches found in history come first, each with a one-click "Regularize"; then the filed requests.
+    const renderRequests = (state) => {
+        if (!nodes.requestsModule) return;
+        nodes.requestsModule.classList.toggle('hide', !state.requestsAvailable);
+        if (!state.requestsAvailable) return;
+
+        const missed = HR.requests.missedPunchDays(stateSessions(state), state.requests);
+        nodes.missedPunchList.innerHTML = missed.slice(0, 3).map(item => `
+            <div class="entry-item missed-punch">
+                <span class="entry-type type-out">${t(item.punchOut === null ? 'missedOut' : 'missedIn')}</span>
+                <span class="entry-time">${escapeHtml(formatDay(item.day))}</span>
+                <button class="link-btn" data-regularize="${escapeHtml(item.day)}">${t('regularize')}</button>
+            </div>
+        `).join('');
+
+        const requests = state.requests || [];
+        if (requests.length === 0) {
+            nodes.requestList.innerHTML = `<div class="empty-log">${t('noRequests')}</div>`;
+            return;
+        }
+        nodes.requestList.innerHTML = requests.slice(0, 5).map((request) => {
+            const detail = request.kind === 'leave'
+                ? (HR.requests.LEAVE_TYPES[request.leaveType] ? t(`leaveType_${request.leaveType}`) : request.leaveType || t('kindLeave'))
+                : [request.punchIn, request.punchOut].map(time => (time ? formatClock(time) : '--:--')).join(' – ');
+            const note = request.comment || request.reason;
+            return `
+                <div class="entry-item">
+                    <span class="entry-type">${t(request.kind === 'leave' ? 'entryLeave' : 'entryCorrection')}</span>
+                    <span class="entry-sync request-${request.status}">${t(`requestStatus_${request.status}`)}</span>
+                    <span class="entry-time">${escapeHtml(formatDay(request.day))} · ${escapeHtml(detail)}</span>
+                    ${note ? `<span class="entry-note">${escapeHtml(note)}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+    };
 
-            const formData = new FormData();
-            formData.append('type', type);
-            formData.append('timestamp', Math.floor(now / 1000));
+    const renderRequestKind = () => {
+        const isLeave = nodes.requestKind.value === 'leave';
+        nodes.requestTimes.classList.toggle('hide', isLeave);
+        nodes.requestLeaveGroup.classList.toggle('hide', !isLeave);
+    };
 
-            console.log('Sending punch request:', { type, timestamp: Math.floor(now / 1000) });
-            
-            const response = await apiFetch('/punch/action', {
-                method: 'POST',
-                body: formData
-            });
-            
-            console.log('Punch response status:', response.status, response.statusText);
-
-            // Get response text first, then try to parse as JSON
-            const responseText = await response.text();
-            let result;
-            try {
-                result = JSON.parse(responseText);
-            } catch (jsonError) {
-                console.error('Failed to parse response as JSON:', jsonError);
-                console.error('Response text:', responseText);
-                console.error('Response status:', response.status, response.statusText);
-                showToast(`Server error: ${response.status} ${response.statusText}`);
-                return;
-            }
+    // Picking a day that has history fills in the punches the portal already knows about
+    const prefillRequestTimes = () => {
+        if (nodes.requestKind.value !== 'regularization' || !currentState) return;
+        const sessions = stateSessions(currentState).filter(session => session.day === nodes.requestDay.value);
+        const first = sessions[0];
+        const last = sessions[sessions.length - 1];
+        nodes.requestIn.value = first?.start ? HR.requests.toTimeValue(first.start) : '';
+        nodes.requestOut.value = last?.out ? HR.requests.toTimeValue(last.end) : '';
+    };
 
-            // Log the full response for debugging
-            console.log('Punch API response:', result);
-            console.log('Response status:', response.status, response.ok);
-            console.log('Result status:', result.status);
-            console.log('Result keys:', Object.keys(result));
-
-            // Check if there's an explicit error in the response
-            const hasError = result.error || (result.message && result.message.toLowerCase().includes('error')) || 
-                           (result.status && result.status.toLowerCase() === 'error');
-
-            // Check for explicit success indicators - prioritize status === 'success'
-            const isSuccess = result.status === 'success' || result.success === true || 
-                            (result.data && result.data.status === 'success');
-
-            console.log('Success check:', {
-                hasError: hasError,
-                isSuccess: isSuccess,
-                resultStatus: result.status,
-                responseOk: response.ok,
-                responseStatus: response.status
-            });
+    const openRequestForm = ({ kind = 'regularization', day = HR.attendance.dayKey(serverNow(), currentState?.policy) } = {}) => {
+        if (!nodes.requestLeaveType.options.length) {
+            nodes.requestLeaveType.innerHTML = Object.keys(HR.requests.LEAVE_TYPES)
+                .map(value => `<option value="${value}">${escapeHtml(t(`leaveType_${value}`))}</option>`)
+                .join('');
+        }
+        nodes.requestForm.reset();
+        nodes.requestKind.value = kind;
+        nodes.requestDay.value = day;
+        renderRequestKind();
+        prefillRequestTimes();
+        nodes.requestForm.classList.remove('hide');
+        nodes.requestNewBtn.classList.add('hide');
+        (kind === 'regularization' && !nodes.requestIn.value ? nodes.requestIn : nodes.requestReason).focus();
+    };
 
-            // If response is 200 OK and (explicit success OR no explicit error), treat as success
-            if (response.ok && response.status === 200 && (isSuccess || !hasError)) {
-                console.log('✓ Punch action successful (200 OK), updating UI...');
-                console.log('Punch type:', type, 'Timestamp:', now);
-                
-                // Update UI based on punch type
-                if (type === 'in') {
-                    console.log('→ Setting punchInTime to:', now);
-                    console.log('→ Punch-in timestamp:', new Date(now).toLocaleString());
-                    
-                    // Save to storage with error handling
-                    try {
-                        await chrome.storage.local.set({ punchInTime: now });
-                        console.log('→ punchInTime saved to storage');
-                        
-                        // Verify it was set correctly
-                        const verify = await chrome.storage.local.get('punchInTime');
-                        if (verify.punchInTime === now) {
-                            console.log('→ ✓ Verified: punchInTime correctly stored:', verify.punchInTime);
-                            console.log('→ ✓ Stored time:', new Date(verify.punchInTime).toLocaleString());
-                        } else {
-                            console.error('→ ✗ Storage verification failed! Expected:', now, 'Got:', verify.punchInTime);
-                        }
-                    } catch (storageError) {
-                        console.error('→ ✗ Error saving to storage:', storageError);
-                        showToast('Error saving punch-in time');
-                        return;
-                    }
-                    
-                    console.log('→ Starting timer with time:', now);
-                    startTimer(now);
-                    
-                    console.log('→ Updating UI to punched in state');
-                    updatePunchUI(true, now);
-                    
-                    // Verify UI was updated
-                    console.log('→ UI Update verification:', {
-                        buttonText: nodes.punchBtn?.textContent,
-                        statusText: nodes.statusText?.textContent,
-                        statusDotActive: nodes.statusDot?.classList.contains('active'),
-                        timerDisplay: nodes.timerDisplay?.textContent
-                    });
-                    
-                    showToast(result.message || 'Punched In Successfully');
-                } else {
-                    console.log('→ Removing punchInTime, updating UI to punched out');
-                    await chrome.storage.local.remove('punchInTime');
-                    stopTimer();
-                    updatePunchUI(false);
-                    showToast(result.message || 'Punched Out Successfully');
-                }
-                
-                // Only fetch history, don't fetch status (it might overwrite our state)
-                // The status is already updated by our UI changes above
-                try {
-                    await fetchHistory();
-                    console.log('→ History refreshed successfully');
-                } catch (syncError) {
-                    console.error('Error syncing history after punch:', syncError);
-                    // Don't fail the punch action if sync fails
-                }
-            } else {
-                // Handle error case
-                const errorMsg = result.message || result.error || result.msg || `Action failed (${response.status})`;
-                console.error('✗ Punch action failed:', {
-                    status: response.status,
-                    response: result,
-                    hasError: hasError,
-                    isSuccess: isSuccess
-                });
-                showToast(errorMsg);
-            }
-        } catch (e) {
-            console.error('Punch Error:', e);
-            // Show more detailed error message
-            const errorMsg = e.message || 'Network error. Please check your connection.';
-            showToast(`Punch failed: ${errorMsg}`);
+    const closeRequestForm = () => {
+        nodes.requestForm.classList.add('hide');
+        nodes.requestNewBtn.classList.remove('hide');
+        nodes.requestNewBtn.focus();
+    };
+
+    const handleMissedPunchClick = (event) => {
+        const day = event.target.closest('[data-regularize]')?.dataset.regularize;
+        if (day) openRequestForm({ kind: 'regularization', day });
+    };
+
+    const handleSubmitRequest = async (event) => {
+        event.preventDefault();
+        const draft = {
+            kind: nodes.requestKind.value,
+            day: nodes.requestDay.value,
+            punchIn: nodes.requestIn.value,
+            punchOut: nodes.requestOut.value,
+            leaveType: nodes.requestLeaveType.value,
+            reason: nodes.requestReason.value
+        };
+
+        // Same checks as the background worker, for instant feedback
+        const check = HR.requests.validate(draft, { policy: currentState?.policy, now: serverNow() });
+        if (!check.ok) {
+            showToast(t(check.error, check.errorArgs));
+            return;
+        }
+
+        try {
+            setLoading(nodes.requestSubmitBtn, true);
+            const result = await sendMessage('submit-request', { draft });
+            if (result.state) renderState(result.state);
+            if (result.ok) closeRequestForm();
+            showToast(messageOf(result));
         } finally {
-            setLoading(nodes.punchBtn, false, isPunchedIn ? 'Punch Out' : 'Punch In');
+            setLoading(nodes.requestSubmitBtn, false, t('submitRequest'));
         }
     };
 
     // --- UI State Helpers ---
     const updatePunchUI = (active, punchInTime) => {
-        console.log('updatePunchUI called with:', { active, punchInTime, nodesExist: !!nodes.punchBtn });
-        
+        HR.log.debug('updatePunchUI', { active, punchInTime });
+
         if (!nodes.punchBtn) {
-            console.error('Punch button node not found!');
+            HR.log.error('Punch button node not found');
             return;
         }
 
-        console.log('Updating button:', { 
-            currentText: nodes.punchBtn.textContent,
-            newText: active ? 'Punch Out' : 'Punch In'
-        });
-        
-        nodes.punchBtn.textContent = active ? 'Punch Out' : 'Punch In';
+        nodes.punchBtn.textContent = t(active ? 'punchOut' : 'punchIn');
         nodes.punchBtn.className = `btn-punch ${active ? 'out' : 'in'}`;
 
-        // Handle 2-hour restriction UI
-        if (active && punchInTime) {
-            const elapsed = Date.now() - punchInTime;
-            if (elapsed < PUNCH_DELAY_MS) {
-                nodes.punchBtn.classList.add('btn-disabled');
-                nodes.punchBtn.title = 'Available after 2 hours of work';
-            } else {
-                nodes.punchBtn.classList.remove('btn-disabled');
-                nodes.punchBtn.title = '';
-            }
+        // Handle attendance policy restrictions (minimum stay, punches per day)
+        const policy = currentState?.policy;
+        const check = policy
+            ? HR.policy.checkPunch(
+                {
+                    punchInTime: active ? punchInTime : null,
+                    history: policyHistory(currentState),
+                    workLocation: selectedLocation()
+                },
+                policy,
+                serverNow()
+            )
+            : { allowed: true };
+        if (!check.allowed) {
+            nodes.punchBtn.classList.add('btn-disabled');
+            nodes.punchBtn.title = check.reason === 'min-stay'
+                ? t('availableAfter', HR.i18n.formatMinutes(policy.minStayMinutes))
+                : t(check.error, check.remainingMinutes);
         } else {
             nodes.punchBtn.classList.remove('btn-disabled');
             nodes.punchBtn.title = '';
         }
 
-        console.log('Updating status:', { 
-            statusDotExists: !!nodes.statusDot,
-            statusTextExists: !!nodes.statusText,
-            active: active
-        });
-        
         if (nodes.statusDot) {
             if (active) {
                 nodes.statusDot.classList.add('active');
             } else {
                 nodes.statusDot.classList.remove('active');
             }
-            console.log('Status dot classes:', nodes.statusDot.className);
         }
-        
+
         if (nodes.statusText) {
-            nodes.statusText.textContent = active ? 'Online' : 'Offline';
-            console.log('Status text set to:', nodes.statusText.textContent);
+            nodes.statusText.textContent = t(active ? 'statusOnline' : 'statusOffline');
+        }
+        // The dot is decorative; screen readers get the full status
+        if (nodes.statusDetail) {
+            nodes.statusDetail.textContent = active
+                ? t('statusPunchedInSince', formatPunchTime(punchInTime))
+                : t('statusNotPunchedIn');
         }
 
         if (!active && nodes.timerDisplay) {
             nodes.timerDisplay.textContent = '00:00:00';
+            if (nodes.timerUnit) nodes.timerUnit.textContent = t('elapsedTime');
         }
-        
-        console.log('UI update complete');
     };
 
-    const renderHistory = (history) => {
+    // _locales message keys
+    const SYNC_LABELS = {
+        synced: 'syncSynced',
+        pending: 'syncPending',
+        rejected: 'syncRejected',
+        local: 'syncLocal'
+    };
+
+    const TYPE_LABELS = {
+        in: 'entryTypeIn',
+        out: 'entryTypeOut',
+        'break-start': 'entryTypeBreakStart',
+        'break-end': 'entryTypeBreakEnd'
+    };
+
+    // Server history is synced by definition; offline queue and break entries carry their own status.
+    const renderHistory = (history, queue = [], breaks = []) => {
         if (!nodes.historyList) return;
-        if (!history || history.length === 0) {
-            nodes.historyList.innerHTML = '<div class="empty-log">No session activity found</div>';
+        const entries = [
+            ...(history || []).map(item => ({ ...item, status: 'synced' })),
+            ...queue,
+            ...HR.attendance.unlistedBreaks(history, breaks)
+        ]
+            .map(item => ({ ...item, timestamp: HR.attendance.toTimestamp(item.timestamp) }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const today = new Date().toDateString();
+
+        if (entries.length === 0) {
+            nodes.historyList.innerHTML = `<div class="empty-log">${t('noActivity')}</div>`;
             return;
         }
 
-        nodes.historyList.innerHTML = history.slice(-5).reverse().map((item, index) => {
-            const time = new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        nodes.historyList.innerHTML = entries.slice(-5).reverse().map((item, index) => {
+            const time = HR.i18n.formatTime(item.timestamp, { seconds: true });
+            // Older entries need their date; today's read fine with time alone
+            const label = new Date(item.timestamp).toDateString() === today
+                ? time
+                : `${HR.i18n.formatDate(item.timestamp)} ${time}`;
+            const note = item.status !== 'synced' && messageOf(item)
+                ? `<span class="entry-note">${escapeHtml(messageOf(item))}</span>`
+                : '';
+            const location = HR.location.normalize(item.workLocation)
+                ? `<span class="entry-location">${t(HR.location.LABELS[item.workLocation])}</span>`
+                : '';
+            const dismiss = item.status === 'rejected'
+                ? `<button class="entry-dismiss" data-dismiss="${escapeHtml(item.id)}" title="${t('dismiss')}" aria-label="${t('dismiss')}">&times;</button>`
+                : '';
             // Add staggered delay for list entries
             return `
                 <div class="entry-item" style="animation-delay: ${index * 0.1}s">
-                    <span class="entry-type type-${item.type}">${item.type.toUpperCase()}</span>
-                    <span class="entry-time">${time}</span>
+                    <span class="entry-type type-${escapeHtml(item.type)}">${TYPE_LABELS[item.type] ? t(TYPE_LABELS[item.type]) : escapeHtml(String(item.type).toUpperCase())}</span>
+                    ${location}
+                    <span class="entry-sync sync-${item.status}">${t(SYNC_LABELS[item.status])}</span>
+                    <span class="entry-time">${label}</span>
+                    ${dismiss}
+                    ${note}
                 </div>
             `;
         }).join('');
     };
 
-    const logActivity = async (type) => {
-        const data = await chrome.storage.local.get('history');
-        const history = data.history || [];
-        history.push({ type, timestamp: Date.now() });
-        const snapshot = history.slice(-20);
-        await chrome.storage.local.set({ history: snapshot });
-        renderHistory(snapshot);
+    const handleHistoryClick = async (event) => {
+        const id = event.target.closest('[data-dismiss]')?.dataset.dismiss;
+        if (!id) return;
+        renderState(await sendMessage('dismiss-queued', { id }));
     };
 
-    // --- API Helpers ---
-    const apiFetch = async (endpoint, options = {}) => {
-        const data = await chrome.storage.local.get('token');
-        if (!data.token) {
-            handleLogout({ preservePunch: true });
-            throw new Error('No token found');
-        }
-
-        // Build headers - don't set Content-Type for FormData (browser sets it automatically)
-        const headers = {
-            'Authorization': `Bearer ${data.token}`,
-            'Accept': 'application/json',
-            ...options.headers
-        };
-
-        // If body is FormData, don't set Content-Type header (browser will set it with boundary)
-        if (options.body instanceof FormData) {
-            delete headers['Content-Type'];
-        }
-
+    // --- Background Messaging ---
+    const sendMessage = async (type, payload = {}) => {
         try {
-            console.log(`Making API request to: ${API_BASE}${endpoint}`, {
-                method: options.method || 'GET',
-                hasBody: !!options.body,
-                headers: headers
-            });
-            
-            const response = await fetch(`${API_BASE}${endpoint}`, {
-                ...options,
-                headers
-            });
-
-            console.log(`API response for ${endpoint}:`, {
-                status: response.status,
-                statusText: response.statusText,
-                ok: response.ok
-            });
-
-            if (response.status === 401) {
-                // Session expired; don't wipe punch state from storage.
-                handleLogout({ preservePunch: true });
-                throw new Error('Session expired');
-            }
-
-            return response;
-        } catch (error) {
-            console.error(`API Fetch Error for ${endpoint}:`, error);
-            // Re-throw with more context
-            throw new Error(`Network request failed: ${error.message}`);
-        }
-    };
-
-    const fetchMe = async () => {
-        try {
-            const response = await apiFetch('/me');
-            const result = await response.json();
-            if (response.ok && result.user) {
-                nodes.userName.textContent = result.user.name;
-                await chrome.storage.local.set({ user: { name: result.user.name, email: result.user.business_email } });
-            }
+            const response = await chrome.runtime.sendMessage({ type, ...payload });
+            return response || { ok: false, message: t('noResponse') };
         } catch (e) {
-            console.error('Fetch Me error:', e);
+            HR.log.error(`Background message "${type}" failed`, e);
+            return { ok: false, message: t('backgroundUnavailable') };
         }
     };
 
-    const fetchStatus = async () => {
-        try {
-            const response = await apiFetch('/user/status');
-            const result = await response.json();
-            if (response.ok) {
-                const isPunchedIn = result.isPunchedIn;
-                const serverPunchInTime = result.punchInTime; // Assuming "10:16:29 AM" or similar
-
-                // Get local state first
-                let localData = await chrome.storage.local.get('punchInTime');
-                let localStartTime = localData.punchInTime;
-
-                if (isPunchedIn) {
-                    // Server says user is punched in
-                    let startTime = localStartTime;
-
-                    // Prefer local start time when available (it persists across popup closes)
-                    if (localStartTime) {
-                        startTime = localStartTime;
-                    }
-
-                    // If no valid local time, try to parse server time
-                    if (!startTime && serverPunchInTime) {
-                        try {
-                            // Try parsing serverPunchInTime (it might be "10:16:29 AM" or a full ISO string)
-                            let parsedTime;
-                            if (serverPunchInTime.includes(':')) {
-                                const today = new Date();
-                                const timeStr = serverPunchInTime.match(/(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\s*(AM|PM))?/i);
-                                if (timeStr) {
-                                    let [_, hours, minutes, seconds, modifier] = timeStr;
-                                    hours = parseInt(hours, 10);
-                                    minutes = parseInt(minutes, 10);
-                                    seconds = parseInt(seconds, 10);
-                                    if (modifier) {
-                                        if (modifier.toUpperCase() === 'PM' && hours < 12) hours += 12;
-                                        if (modifier.toUpperCase() === 'AM' && hours === 12) hours = 0;
-                                    }
-                                    today.setHours(hours, minutes, seconds, 0);
-                                    parsedTime = today.getTime();
-                                }
-                            } else {
-                                // Try parsing as ISO string or timestamp
-                                parsedTime = new Date(serverPunchInTime).getTime();
-                            }
-
-                            if (parsedTime && !isNaN(parsedTime)) {
-                                startTime = parsedTime;
-                                await chrome.storage.local.set({ punchInTime: startTime });
-                                console.log('Updated punch-in time from server:', startTime);
-                            }
-                        } catch (parseError) {
-                            console.error('Failed to parse server time:', serverPunchInTime, parseError);
-                        }
-                    }
-
-                    // If still no start time, use current time as fallback (shouldn't happen)
-                    if (!startTime) {
-                        console.warn('No valid punch-in time found, using current time');
-                        startTime = Date.now();
-                        await chrome.storage.local.set({ punchInTime: startTime });
-                    }
-
-                    // Update UI with the start time
-                    startTimer(startTime);
-                    updatePunchUI(true, startTime);
-                } else {
-                    // Server says user is NOT punched in.
-                    // IMPORTANT: Do NOT clear local punch state automatically (inactivity / server lag / cross-day).
-                    // Only clear punch state when an explicit Punch Out succeeds.
-                    if (localStartTime) {
-                        console.warn('Server says not punched in, but local punch state exists. Preserving local punch state.', {
-                            localStartTime,
-                            localStartTimeDate: new Date(localStartTime).toLocaleString()
-                        });
-                        startTimer(localStartTime);
-                        updatePunchUI(true, localStartTime);
-                        return;
-                    }
-
-                    // No local state -> show offline
-                    stopTimer();
-                    updatePunchUI(false);
-                }
-            } else {
-                // API call failed - don't change local state
-                console.warn('Fetch status API failed, preserving local state');
-            }
-        } catch (e) {
-            console.error('Fetch Status error:', e);
-            // On error, preserve local state - don't clear it
-            // The UI should already be restored from restoreLocalState()
-        }
-    };
+    const startTimer = (startTime) => {
+        HR.log.debug('startTimer', { startTime, now: Date.now() });
 
-    const fetchHistory = async () => {
-        try {
-            const response = await apiFetch('/punch/history');
-            const result = await response.json();
-            if (response.ok && result.history) {
-                renderHistory(result.history);
-                await chrome.storage.local.set({ history: result.history });
-            }
-        } catch (e) {
-            console.error('Fetch History error:', e);
-        }
-    };
+        if (timerInterval) clearInterval(timerInterval);
 
-    const startTimer = (startTime) => {
-        console.log('startTimer called with:', startTime);
-        console.log('Current time:', Date.now());
-        console.log('Timer display node exists:', !!nodes.timerDisplay);
-        
-        if (timerInterval) {
-            console.log('Clearing existing timer interval');
-            clearInterval(timerInterval);
-        }
-        
+        // Net worked time: breaks taken since punching in don't count
         const update = () => {
-            const diff = Date.now() - startTime;
+            const now = serverNow();
+            const breakTime = HR.attendance.breakMs(breakEntries(currentState), startTime, now);
+            const diff = Math.max(0, now - startTime - breakTime);
+            if (nodes.timerUnit) {
+                nodes.timerUnit.textContent = currentState?.breakStartTime
+                    ? t('onBreakFor', formatBreakClock(now - currentState.breakStartTime))
+                    : (breakTime > 0 ? t('netWorkedTime', formatBreakClock(breakTime)) : t('elapsedTime'));
+            }
             const h = String(Math.floor(diff / 3600000)).padStart(2, '0');
             const m = String(Math.floor((diff % 3600000) / 60000)).padStart(2, '0');
             const s = String(Math.floor((diff % 60000) / 1000)).padStart(2, '0');
-            const timeString = `${h}:${m}:${s}`;
-            
-            if (nodes.timerDisplay) {
-                nodes.timerDisplay.textContent = timeString;
-            } else {
-                console.error('Timer display node not found!');
-            }
+            if (nodes.timerDisplay) nodes.timerDisplay.textContent = `${h}:${m}:${s}`;
         };
-        
+
         update(); // Update immediately
         timerInterval = setInterval(update, 1000);
-        console.log('Timer started, interval ID:', timerInterval);
     };
 
     const stopTimer = () => {
@@ -736,6 +931,7 @@
 
     const setLoading = (btn, isLoading, originalText) => {
         if (!btn) return;
+        btn.setAttribute('aria-busy', String(isLoading));
         if (isLoading) {
             btn.classList.add('btn-loading');
             btn.disabled = true;
@@ -746,15 +942,37 @@
         }
     };
 
+    const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+
+    // Login errors stay next to the form (role="alert") until the next attempt
     const showError = (msg) => {
-        showToast(msg);
+        if (!nodes.loginError || nodes.loginView.classList.contains('hide')) {
+            showToast(msg);
+            return;
+        }
+        nodes.loginError.textContent = msg;
+        nodes.loginError.classList.remove('hide');
     };
 
+    const clearError = () => {
+        nodes.loginError?.classList.add('hide');
+        if (nodes.loginError) nodes.loginError.textContent = '';
+    };
+
+    // The toast is a polite live region. Longer messages stay up longer so they can be read in full.
+    let toastTimer = null;
     const showToast = (msg) => {
-        if (!nodes.statusToast) return;
-        nodes.statusToast.textContent = msg;
-        nodes.statusToast.classList.add('show');
-        setTimeout(() => nodes.statusToast.classList.remove('show'), 3000);
+        if (!nodes.statusToast || !msg) return;
+        clearTimeout(toastTimer);
+        // Re-announce a repeated message: empty the region first, fill it on the next frame
+        nodes.statusToast.textContent = '';
+        requestAnimationFrame(() => {
+            nodes.statusToast.textContent = msg;
+            nodes.statusToast.classList.add('show');
+        });
+        toastTimer = setTimeout(() => nodes.statusToast.classList.remove('show'), Math.max(3000, msg.length * 80));
     };
 
     // --- Bootstrap ---
@@ -763,4 +981,4 @@
     } else {
         init();
     }
-})();
+})(self.HR);
@@ -0,0 +1,102 @@
+// Enterprise HR Portal - Analytics Tests
+// HR.analytics.summarize over dailyTotals, and HR.analytics.streaks across weekends.
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const HR = load('lib/attendance.js', 'lib/policy.js', 'lib/analytics.js');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+// Local time on a day of January 2024 (Monday 8 to Sunday 14 is the week used below)
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+
+const shift = (day, [inHours, inMinutes], [outHours, outMinutes]) => [
+    { type: 'in', timestamp: at(day, inHours, inMinutes) },
+    { type: 'out', timestamp: at(day, outHours, outMinutes) }
+];
+
+describe('summarize', () => {
+    const policy = HR.policy.resolve();
+    const sessions = HR.attendance.buildSessions([
+        ...shift(8, [9, 0], [17, 0]),   // 8 h, on time
+        ...shift(9, [9, 45], [19, 45]), // 10 h, late
+        ...shift(10, [9, 40], [15, 40]) // 6 h, within the grace period
+    ]);
+    const days = HR.analytics.dailyTotals(sessions, '2024-01-08', '2024-01-14');
+
+    test('zero-fills every day of the range', () => {
+        assert.deepEqual(days.map(day => day.day), [
+            '2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11', '2024-01-12', '2024-01-13', '2024-01-14'
+        ]);
+        assert.deepEqual(days.map(day => day.totalMs / HOUR), [8, 10, 6, 0, 0, 0, 0]);
+        assert.equal(days[3].firstIn, null);
+        assert.equal(days[3].lastOut, null);
+    });
+
+    test('averages over the days worked and counts overtime per day', () => {
+        const summary = HR.analytics.summarize(days, policy);
+        assert.equal(summary.totalMs, 24 * HOUR);
+        assert.equal(summary.daysWorked, 3);
+        assert.equal(summary.averageDayMs, 8 * HOUR);
+        assert.equal(summary.averageIn, Math.round((540 + 585 + 580) / 3));
+        assert.equal(summary.averageOut, Math.round((1020 + 1185 + 940) / 3));
+        assert.equal(summary.overtimeMs, 2 * HOUR);
+    });
+
+    test('counts a day late only after the grace period', () => {
+        assert.deepEqual(HR.analytics.summarize(days, policy).lateDays, ['2024-01-09']);
+        assert.deepEqual(HR.analytics.summarize(days, { ...policy, lateGraceMinutes: 0 }).lateDays,
+            ['2024-01-09', '2024-01-10']);
+    });
+
+    test('keeps an after-midnight punch out past 24:00 for the day it belongs to', () => {
+        const night = HR.attendance.buildSessions([
+            { type: 'in', timestamp: at(8, 22) },
+            { type: 'out', timestamp: at(9, 2) }
+        ], { policy: { dayBoundaryHour: 6 } });
+        const [day] = HR.analytics.dailyTotals(night, '2024-01-08', '2024-01-08');
+        assert.equal(HR.analytics.summarize([day], policy).averageOut, 26 * 60);
+    });
+
+    test('reports nothing worked for an empty period', () => {
+        const summary = HR.analytics.summarize(HR.analytics.dailyTotals([], '2024-01-08', '2024-01-14'), policy);
+        assert.deepEqual(summary, {
+            totalMs: 0,
+            daysWorked: 0,
+            averageDayMs: 0,
+            averageIn: null,
+            averageOut: null,
+            lateDays: [],
+            overtimeMs: 0
+        });
+    });
+});
+
+describe('streaks', () => {
+    const streaks = (days, today) => HR.analytics.streaks(new Set(days), today);
+
+    test('is empty without attendance', () => {
+        assert.deepEqual(streaks([], '2024-01-10'), { current: 0, longest: 0 });
+    });
+
+    test('carries a streak over the weekend', () => {
+        assert.deepEqual(streaks(['2024-01-11', '2024-01-12', '2024-01-15'], '2024-01-15'), { current: 3, longest: 3 });
+    });
+
+    test('counts weekend work without needing it', () => {
+        assert.deepEqual(streaks(['2024-01-12', '2024-01-13', '2024-01-15'], '2024-01-15'), { current: 3, longest: 3 });
+    });
+
+    test('is not broken by today before it is over', () => {
+        assert.deepEqual(streaks(['2024-01-08', '2024-01-09'], '2024-01-10'), { current: 2, longest: 2 });
+    });
+
+    test('restarts after a missed working day and keeps the longest run', () => {
+        const days = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-12', '2024-01-15'];
+        assert.deepEqual(streaks(days, '2024-01-15'), { current: 2, longest: 3 });
+        assert.deepEqual(streaks(days, '2024-01-17'), { current: 0, longest: 3 });
+    });
+});
@@ -0,0 +1,117 @@
+// Enterprise HR Portal - Session and Punch Check Tests
+// HR.attendance.buildSessions pairing and break accounting, and HR.policy.checkPunch refusals.
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const HR = load('lib/attendance.js', 'lib/policy.js');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+// Local times on Monday 8 January 2024
+const at = (hours, minutes = 0, day = 8) => new Date(2024, 0, day, hours, minutes).getTime();
+
+describe('buildSessions', () => {
+    test('pairs each in with the next out and keeps breaks out of the net duration', () => {
+        const [session] = HR.attendance.buildSessions([
+            { type: 'out', timestamp: at(17, 30) },
+            { type: 'break-start', timestamp: at(13) },
+            { type: 'in', timestamp: at(9) },
+            { type: 'break-end', timestamp: at(13, 45) }
+        ]);
+        assert.equal(session.start, at(9));
+        assert.equal(session.end, at(17, 30));
+        assert.equal(session.day, '2024-01-08');
+        assert.equal(session.grossMs, 8.5 * HOUR);
+        assert.equal(session.breakMs, 45 * MINUTE);
+        assert.equal(session.durationMs, 8.5 * HOUR - 45 * MINUTE);
+        assert.equal(session.missingIn, false);
+        assert.equal(session.missingOut, false);
+    });
+
+    test('reads epoch seconds and skips unreadable timestamps', () => {
+        const sessions = HR.attendance.buildSessions([
+            { type: 'in', timestamp: at(9) / 1000 },
+            { type: 'out', timestamp: String(at(12) / 1000) },
+            { type: 'in', timestamp: 'garbage' }
+        ]);
+        assert.equal(sessions.length, 1);
+        assert.equal(sessions[0].durationMs, 3 * HOUR);
+    });
+
+    test('flags unmatched punches', () => {
+        const sessions = HR.attendance.buildSessions([
+            { type: 'out', timestamp: at(8) },
+            { type: 'in', timestamp: at(9) },
+            { type: 'in', timestamp: at(14) }
+        ]);
+        assert.deepEqual(sessions.map(s => [s.missingIn, s.missingOut, s.durationMs]), [
+            [true, false, 0],
+            [false, true, 0],
+            [false, true, 0]
+        ]);
+    });
+
+    test('runs a trailing in up to now while punched in, less a break still open', () => {
+        const [session] = HR.attendance.buildSessions([
+            { type: 'in', timestamp: at(9) },
+            { type: 'break-start', timestamp: at(12) }
+        ], { punchInTime: at(9), now: at(12, 30) });
+        assert.equal(session.running, true);
+        assert.equal(session.missingOut, false);
+        assert.equal(session.end, at(12, 30));
+        assert.equal(session.durationMs, 3 * HOUR);
+    });
+
+    test('puts a night shift on the day it started with a day-boundary hour', () => {
+        const entries = [
+            { type: 'in', timestamp: at(2, 0, 9) },
+            { type: 'out', timestamp: at(5, 0, 9) }
+        ];
+        assert.equal(HR.attendance.buildSessions(entries)[0].day, '2024-01-09');
+        assert.equal(HR.attendance.buildSessions(entries, { policy: { dayBoundaryHour: 6 } })[0].day, '2024-01-08');
+    });
+});
+
+describe('checkPunch', () => {
+    const policy = HR.policy.resolve();
+    const check = (state, overrides, now) =>
+        HR.policy.checkPunch({ punchInTime: null, history: [], ...state }, { ...policy, ...overrides }, now);
+
+    test('offers Punch In, then Punch Out once the minimum stay is over', () => {
+        assert.deepEqual(check({}, {}, at(9)), { allowed: true, type: 'in' });
+        assert.deepEqual(check({ punchInTime: at(9) }, {}, at(11)), { allowed: true, type: 'out' });
+    });
+
+    test('refuses Punch Out before the minimum stay, rounding the minutes left up', () => {
+        const result = check({ punchInTime: at(9) }, {}, at(10, 30) + 1);
+        assert.equal(result.allowed, false);
+        assert.equal(result.type, 'out');
+        assert.equal(result.reason, 'min-stay');
+        assert.equal(result.error, 'policyMinStay');
+        assert.equal(result.remainingMinutes, 30);
+    });
+
+    test('refuses Punch In once today’s shifts are done, counting from the day boundary', () => {
+        const history = [{ type: 'in', timestamp: at(9) }, { type: 'out', timestamp: at(17) }];
+        const refused = check({ history }, {}, at(18));
+        assert.equal(refused.reason, 'day-complete');
+        assert.equal(refused.error, 'policyDayComplete');
+
+        assert.equal(check({ history }, {}, at(8, 0, 9)).allowed, true);
+        assert.equal(check({ history }, { maxPunchesPerDay: 2 }, at(18)).allowed, true);
+        assert.equal(check({ history }, { maxPunchesPerDay: 0 }, at(18)).allowed, true);
+        // With the day starting at 06:00, 05:00 the next morning still belongs to the 8th
+        assert.equal(check({ history }, { dayBoundaryHour: 6 }, at(5, 0, 9)).reason, 'day-complete');
+    });
+
+    test('refuses Punch In without a work location when the policy asks for one', () => {
+        const strict = { requireWorkLocation: true };
+        const refused = check({}, strict, at(9));
+        assert.equal(refused.reason, 'location-required');
+        assert.equal(refused.error, 'policyLocationRequired');
+        assert.equal(check({ workLocation: 'office' }, strict, at(9)).allowed, true);
+    });
+});
@@ -0,0 +1,111 @@
+// Enterprise HR Portal - Export Tests
+// HR.exporter CSV, JSON and iCalendar output from built sessions.
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const HR = load('lib/i18n.js', 'lib/attendance.js', 'lib/export.js');
+
+// Local time on a day of January 2024
+const at = (day, hours, minutes = 0, seconds = 0) => new Date(2024, 0, day, hours, minutes, seconds).getTime();
+
+const sessions = HR.attendance.buildSessions([
+    { type: 'in', timestamp: at(9, 9, 5, 7) },
+    { type: 'break-start', timestamp: at(9, 13) },
+    { type: 'break-end', timestamp: at(9, 13, 30) },
+    { type: 'out', timestamp: at(9, 17, 35, 7) },
+    { type: 'in', timestamp: at(8, 9) },
+    { type: 'out', timestamp: at(8, 17) },
+    { type: 'out', timestamp: at(10, 12) }, // no punch in
+    { type: 'in', timestamp: at(10, 13) }   // still punched in
+], { punchInTime: at(10, 13), now: at(10, 15) });
+
+describe('toCsv', () => {
+    test('lists closed sessions oldest first, with local clock times and H:MM durations', () => {
+        assert.equal(HR.exporter.toCsv(sessions), [
+            'date,in,out,duration',
+            '2024-01-08,09:00:00,17:00:00,8:00',
+            '2024-01-09,09:05:07,17:35:07,8:00',
+            ''
+        ].join('\r\n'));
+    });
+
+    test('has only the header without sessions', () => {
+        assert.equal(HR.exporter.toCsv([]), 'date,in,out,duration\r\n');
+    });
+});
+
+describe('toJson', () => {
+    test('carries the range, the user and net minutes per session', () => {
+        const data = JSON.parse(HR.exporter.toJson(sessions, {
+            from: '2024-01-08',
+            user: { name: 'Asha', email: 'asha@example.com', id: 7 }
+        }));
+        assert.ok(!isNaN(Date.parse(data.exportedAt)));
+        assert.deepEqual(data.range, { from: '2024-01-08', to: null });
+        assert.deepEqual(data.user, { name: 'Asha', email: 'asha@example.com' });
+        assert.equal(data.totalMinutes, 960);
+        assert.deepEqual(data.sessions[1], {
+            date: '2024-01-09',
+            in: new Date(at(9, 9, 5, 7)).toISOString(),
+            out: new Date(at(9, 17, 35, 7)).toISOString(),
+            durationMinutes: 480,
+            breakMinutes: 30
+        });
+    });
+});
+
+describe('toIcs', () => {
+    const ics = HR.exporter.toIcs(sessions, { user: { name: 'Asha; Ops, Night\\Day' } });
+    const lines = ics.split('\r\n');
+
+    test('ends every line with CRLF and wraps the events in a calendar', () => {
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(!/[^\r]\n/.test(ics));
+        assert.equal(lines[0], 'BEGIN:VCALENDAR');
+        assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    });
+
+    test('writes UTC times and a localized summary for each session', () => {
+        const start = new Date(at(8, 9)).toISOString().replace(/[-:]/g, '').replace('.000', '');
+        assert.ok(lines.includes(`DTSTART:${start}`));
+        assert.ok(lines.includes(`UID:${at(8, 9)}-${at(8, 17)}@hr-portal-extension`));
+        assert.ok(lines.includes(`SUMMARY:Work shift (${HR.i18n.formatDuration(8 * 3600000)})`));
+    });
+
+    test('escapes backslashes, semicolons and commas in text', () => {
+        assert.ok(lines.includes('DESCRIPTION:Attendance for Asha\\; Ops\\, Night\\\\Day'));
+    });
+
+    test('escapes line breaks of every kind, carriage returns included', () => {
+        const text = HR.exporter.toIcs(sessions.slice(0, 1), { user: { name: 'A\r\nB\rC\nD' } });
+        assert.ok(text.includes('DESCRIPTION:Attendance for A\\nB\\nC\\nD\r\n'));
+        assert.ok(!/\r(?!\n)/.test(text));
+    });
+
+    test('folds long lines at 75 UTF-8 octets without splitting a character', () => {
+        const octets = text => Buffer.byteLength(text, 'utf8');
+        const loneSurrogate = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+        const names = [
+            'Asha Fernández-Núñez de la Peña Montenegro y Villaseñor',
+            'آشا عبد الرحمن بن خالد الحسيني',
+            '🙂'.repeat(40)
+        ];
+        names.forEach((name) => {
+            const text = HR.exporter.toIcs(sessions.slice(0, 1), { user: { name } });
+            const physical = text.split('\r\n');
+            physical.forEach((line) => {
+                assert.ok(octets(line) <= 75, `${octets(line)} octets: ${line}`);
+                assert.ok(!loneSurrogate.test(line));
+            });
+            const unfolded = text.replace(/\r\n /g, '').split('\r\n');
+            assert.ok(unfolded.includes(`DESCRIPTION:Attendance for ${name}`));
+            // A folded line is only short of 75 octets by less than the character that follows it
+            const folded = physical.filter((line, i) => physical[i + 1]?.startsWith(' '));
+            assert.ok(folded.length > 0);
+            folded.forEach(line => assert.ok(octets(line) > 71));
+        });
+    });
+});
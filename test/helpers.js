@@ -0,0 +1,68 @@
+// Enterprise HR Portal - Unit Test Helpers
+// Loads the extension's classic-script libs into the test process (they attach to self.HR), with the parts
+// of the chrome.* API they touch: storage areas kept in memory, and chrome.i18n over the English catalog.
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// --- chrome.* Stand-ins ---
+const memoryArea = () => {
+    let data = {};
+    const copy = value => JSON.parse(JSON.stringify(value));
+    return {
+        get: async (keys) => {
+            if (keys === null || keys === undefined) return copy(data);
+            const names = typeof keys === 'string' ? [keys] : keys;
+            return copy(Object.fromEntries(names.filter(key => key in data).map(key => [key, data[key]])));
+        },
+        set: async (items) => {
+            data = { ...data, ...copy(items) };
+        },
+        remove: async (keys) => {
+            [].concat(keys).forEach((key) => delete data[key]);
+        },
+        clear: async () => {
+            data = {};
+        }
+    };
+};
+
+const messages = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', 'en', 'messages.json'), 'utf8'));
+
+// Same substitution rules as chrome.i18n.getMessage
+const getMessage = (key, substitutions) => {
+    const entry = messages[key];
+    if (!entry) return '';
+    const values = [].concat(substitutions ?? []);
+    return entry.message
+        .replace(/\$([a-z0-9_@]+)\$/gi, (match, name) => entry.placeholders?.[name.toLowerCase()]?.content ?? match)
+        .replace(/\$(\d)/g, (match, index) => values[index - 1] ?? '');
+};
+
+globalThis.self = globalThis;
+globalThis.chrome = {
+    storage: {
+        local: memoryArea(),
+        session: memoryArea(),
+        onChanged: { addListener() {} }
+    },
+    i18n: {
+        getUILanguage: () => 'en',
+        getMessage
+    }
+};
+
+// --- Libs ---
+// Files relative to the repository root, in the order the extension's pages load them
+const load = (...files) => {
+    files.forEach((file) => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    });
+    return globalThis.HR;
+};
+
+module.exports = { load };
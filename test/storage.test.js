@@ -0,0 +1,99 @@
+// Enterprise HR Portal - Storage Migration Tests
+// HR.storage.migrate over chrome.storage.local contents left by older versions.
+'use strict';
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const HR = load('lib/log.js', 'lib/storage.js', 'lib/profiles.js');
+
+const stored = () => chrome.storage.local.get(null);
+
+describe('storage migrations', () => {
+    beforeEach(() => chrome.storage.local.clear());
+
+    test('a fresh install starts at the current version', async () => {
+        assert.deepEqual(await HR.storage.migrate({ reason: 'install' }), {
+            from: HR.storage.SCHEMA_VERSION,
+            to: HR.storage.SCHEMA_VERSION
+        });
+        assert.deepEqual(await stored(), { schemaVersion: HR.storage.SCHEMA_VERSION });
+    });
+
+    test('data from a newer version is left alone', async () => {
+        const data = { schemaVersion: HR.storage.SCHEMA_VERSION + 1, savedCreds: { email: 'a@x.com', password: 'p' } };
+        await chrome.storage.local.set(data);
+        const result = await HR.storage.migrate({ reason: 'update' });
+        assert.deepEqual(result, { from: data.schemaVersion, to: data.schemaVersion });
+        assert.deepEqual(await stored(), data);
+    });
+
+    test('v2 keeps only the email in savedCreds and moves the refresh token to its own key', async () => {
+        await chrome.storage.local.set({
+            savedCreds: { email: 'asha@example.com', password: 'secret' },
+            'profile:acme:savedCreds': { email: 'asha@acme.test', refreshToken: 'old-refresh' },
+            'profile:beta:savedCreds': { email: 'asha@beta.test', refreshToken: 'stale' },
+            'profile:beta:refreshToken': 'current'
+        });
+
+        assert.deepEqual(await HR.storage.migrate({ reason: 'update' }), { from: 1, to: HR.storage.SCHEMA_VERSION });
+        const data = await stored();
+        assert.deepEqual(data.savedCreds, { email: 'asha@example.com' });
+        assert.equal(data.refreshToken, undefined);
+        assert.deepEqual(data['profile:acme:savedCreds'], { email: 'asha@acme.test' });
+        assert.equal(data['profile:acme:refreshToken'], 'old-refresh');
+        // A refresh token already stored on its own is newer than the one inside savedCreds
+        assert.equal(data['profile:beta:refreshToken'], 'current');
+        assert.equal(data.schemaVersion, HR.storage.SCHEMA_VERSION);
+    });
+
+    test('v3 gives queued punches, breaks and the stored user an account', async () => {
+        await chrome.storage.local.set({
+            schemaVersion: 2,
+            punchQueue: [
+                { id: 'p1', type: 'in', timestamp: 1, email: ' Asha@Example.com ' },
+                { id: 'p2', type: 'out', timestamp: 2, account: 'kept@example.com', email: 'other@example.com' }
+            ],
+            'profile:acme:breakLog': [{ id: 'b1', type: 'break-start', timestamp: 3, email: 'asha@acme.test' }],
+            user: { name: 'Asha', email: 'Asha@Example.com' }
+        });
+
+        assert.deepEqual(await HR.storage.migrate({ reason: 'update' }), { from: 2, to: HR.storage.SCHEMA_VERSION });
+        const data = await stored();
+        assert.deepEqual(data.punchQueue, [
+            { id: 'p1', type: 'in', timestamp: 1, account: 'asha@example.com' },
+            { id: 'p2', type: 'out', timestamp: 2, account: 'kept@example.com' }
+        ]);
+        assert.deepEqual(data['profile:acme:breakLog'], [
+            { id: 'b1', type: 'break-start', timestamp: 3, account: 'asha@acme.test' }
+        ]);
+        assert.equal(data.user.account, 'asha@example.com');
+        assert.equal(data.schemaVersion, 3);
+    });
+
+    test('v3 takes the account from the Remember Me email, for the user and their queued entries alike', async () => {
+        await chrome.storage.local.set({
+            schemaVersion: 2,
+            // Signed in as a.patel@corp.test; the portal profile reports a business address
+            savedCreds: { email: 'A.Patel@corp.test' },
+            user: { name: 'Asha', email: 'asha@example.com' },
+            punchQueue: [
+                { id: 'p1', type: 'in', timestamp: 1, email: 'asha@example.com' },
+                { id: 'p2', type: 'in', timestamp: 2, email: 'rahul@example.com' }
+            ],
+            breakLog: [{ id: 'b1', type: 'break-start', timestamp: 3, email: 'Asha@Example.com' }],
+            // Another profile without Remember Me keeps the stored user's email
+            'profile:acme:user': { name: 'Asha', email: 'asha@acme.test' },
+            'profile:acme:punchQueue': [{ id: 'p3', type: 'out', timestamp: 4, email: 'asha@acme.test' }]
+        });
+
+        await HR.storage.migrate({ reason: 'update' });
+        const data = await stored();
+        assert.equal(data.user.account, 'a.patel@corp.test');
+        assert.deepEqual(data.punchQueue.map(entry => entry.account), ['a.patel@corp.test', 'rahul@example.com']);
+        assert.equal(data.breakLog[0].account, 'a.patel@corp.test');
+        assert.equal(data['profile:acme:user'].account, 'asha@acme.test');
+        assert.equal(data['profile:acme:punchQueue'][0].account, 'asha@acme.test');
+    });
+});
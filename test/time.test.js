@@ -0,0 +1,65 @@
+// Enterprise HR Portal - Server Time Tests
+// HR.time.parseServerTime: bare clock times around midnight, portal time zones and DST changes.
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const HR = load('lib/time.js');
+const { parseServerTime } = HR.time;
+
+describe('parseServerTime', () => {
+    test('reads epoch seconds, epoch milliseconds and digit strings', () => {
+        assert.equal(parseServerTime(1700000000), 1700000000000);
+        assert.equal(parseServerTime(1700000000000), 1700000000000);
+        assert.equal(parseServerTime('1700000000'), 1700000000000);
+    });
+
+    test('returns null for empty and unreadable values', () => {
+        assert.equal(parseServerTime(null), null);
+        assert.equal(parseServerTime(''), null);
+        assert.equal(parseServerTime('not a time'), null);
+    });
+
+    test('places a bare time on the portal’s current day', () => {
+        const now = Date.UTC(2024, 2, 10, 6, 0); // 11:30 in Kolkata
+        const options = { now, timeZone: 'Asia/Kolkata' };
+        assert.equal(parseServerTime('10:16:29 AM', options), Date.UTC(2024, 2, 10, 4, 46, 29));
+        assert.equal(parseServerTime('12:05 AM', options), Date.UTC(2024, 2, 9, 18, 35));
+        // A few minutes ahead is clock skew, not yesterday
+        assert.equal(parseServerTime('11:33', options), Date.UTC(2024, 2, 10, 6, 3));
+    });
+
+    test('puts a bare time that is still ahead on the day before (shift across midnight)', () => {
+        const now = Date.UTC(2024, 2, 9, 19, 0); // 00:30 on 10 March in Kolkata
+        assert.equal(
+            parseServerTime('11:45 PM', { now, timeZone: 'Asia/Kolkata' }),
+            Date.UTC(2024, 2, 9, 18, 15) // 23:45 on 9 March
+        );
+    });
+
+    test('reads times without an offset in the portal’s time zone, either side of a DST change', () => {
+        const timeZone = 'America/New_York';
+        assert.equal(parseServerTime('2024-03-09T09:00:00', { timeZone }), Date.UTC(2024, 2, 9, 14, 0)); // EST
+        assert.equal(parseServerTime('2024-03-11T09:00:00', { timeZone }), Date.UTC(2024, 2, 11, 13, 0)); // EDT
+        assert.equal(parseServerTime('2024-11-04 09:00', { timeZone }), Date.UTC(2024, 10, 4, 14, 0)); // EST again
+    });
+
+    test('uses the offset in force at the time itself on the day clocks change', () => {
+        const options = { now: Date.UTC(2024, 2, 10, 16, 0), timeZone: 'America/New_York' }; // 12:00 EDT
+        assert.equal(parseServerTime('01:30 AM', options), Date.UTC(2024, 2, 10, 6, 30)); // still EST
+        assert.equal(parseServerTime('03:30 AM', options), Date.UTC(2024, 2, 10, 7, 30)); // already EDT
+    });
+
+    test('prefers an explicit offset over the portal’s time zone', () => {
+        const timeZone = 'America/New_York';
+        assert.equal(parseServerTime('2024-01-01T10:00:00+05:30', { timeZone }), Date.UTC(2024, 0, 1, 4, 30));
+        assert.equal(parseServerTime('2024-01-01T10:00:00.250Z', { timeZone }), Date.UTC(2024, 0, 1, 10, 0));
+    });
+
+    test('accepts fixed offsets as the portal’s time zone', () => {
+        assert.equal(parseServerTime('2024-01-01 10:00', { timeZone: '+05:30' }), Date.UTC(2024, 0, 1, 4, 30));
+        assert.equal(parseServerTime('2024-01-01 10:00', { timeZone: 'UTC' }), Date.UTC(2024, 0, 1, 10, 0));
+    });
+});